@@ -24,6 +24,12 @@ const blogSchema = mongoose.Schema({
         type: [],
         // required: true
     },
+    // plain text of 'content', kept for full-text search
+    content_text: {
+        type: String,
+        default: "",
+        select: false
+    },
     tags: {
         type: [String],
         // required: true
@@ -58,6 +64,31 @@ const blogSchema = mongoose.Schema({
     draft: {
         type: Boolean,
         default: false
+    },
+    // a draft with a publish time is published by the scheduler then
+    scheduledAt: {
+        type: Date
+    },
+    // hidden by a moderator, left out of every listing
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    // recent reads, likes and comments weighted by how recent they are, one score per window.
+    // recomputed by the server every few minutes
+    trending: {
+        day: {
+            type: Number,
+            default: 0
+        },
+        week: {
+            type: Number,
+            default: 0
+        },
+        month: {
+            type: Number,
+            default: 0
+        }
     }
 
 }, 
@@ -68,4 +99,16 @@ const blogSchema = mongoose.Schema({
 
 })
 
+blogSchema.index({ draft: 1, scheduledAt: 1 });
+blogSchema.index({ tags: 1 });
+blogSchema.index({ "trending.day": -1 });
+blogSchema.index({ "trending.week": -1 });
+blogSchema.index({ "trending.month": -1 });
+
+// full-text search, a match in the title counts the most
+blogSchema.index({ title: "text", tags: "text", des: "text", content_text: "text" }, {
+    name: "blog_search",
+    weights: { title: 10, tags: 5, des: 3, content_text: 1 }
+})
+
 export default mongoose.model("blogs", blogSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+// a snapshot of a blog after one of its saves
+const blogRevisionSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    revision: {
+        type: Number,
+        required: true
+    },
+    editor: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    // the fields that differ from the revision before
+    changed: {
+        type: [String],
+        default: []
+    },
+    restored_from: {
+        type: Number
+    },
+    title: String,
+    des: String,
+    banner: String,
+    content: {
+        type: []
+    },
+    tags: {
+        type: [String]
+    },
+    draft: Boolean,
+    savedAt: {
+        type: Date,
+        default: Date.now
+    }
+
+})
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+export default mongoose.model("blog_revisions", blogRevisionSchema)
\ No newline at end of file
@@ -0,0 +1,48 @@
+import mongoose, { Schema } from "mongoose";
+
+// activity of one blog on one day (UTC)
+const blogStatSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    author: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    day: {
+        type: Date,
+        required: true
+    },
+    reads: {
+        type: Number,
+        default: 0
+    },
+    unique_readers: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    },
+    // reads per referring site, the keys are url encoded hostnames
+    referrers: {
+        type: Map,
+        of: Number,
+        default: {}
+    }
+
+})
+
+blogStatSchema.index({ blog: 1, day: 1 }, { unique: true });
+blogStatSchema.index({ author: 1, day: 1 });
+
+export default mongoose.model("blog_stats", blogStatSchema)
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+// the last counted read of a blog by one viewer, used to de-duplicate reads
+const blogViewSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    // user id for signed in readers, a hash of ip and user agent for the rest
+    viewer: {
+        type: String,
+        required: true
+    },
+    lastCountedAt: {
+        type: Date,
+        required: true
+    },
+    // 'YYYY-MM-DD' of the last counted read, to count unique readers per day
+    lastCountedDay: {
+        type: String,
+        required: true
+    }
+
+})
+
+blogViewSchema.index({ blog: 1, viewer: 1 }, { unique: true });
+
+// the de-duplication window is at most a day, anything older is of no use
+blogViewSchema.index({ lastCountedAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+export default mongoose.model("blog_views", blogViewSchema)
\ No newline at end of file
@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+const bookmarkSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'bookmarkedAt'
+    }
+})
+
+bookmarkSchema.index({ user: 1, blog: 1 }, { unique: true });
+
+export default mongoose.model("bookmarks", bookmarkSchema)
\ No newline at end of file
@@ -32,6 +32,32 @@ const commentSchema = mongoose.Schema({
     parent: {
         type: Schema.Types.ObjectId,
         ref: 'comments'
+    },
+    // hidden by a moderator
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    // users @mentioned in the comment
+    mentions: {
+        type: [Schema.Types.ObjectId],
+        ref: 'users',
+        default: []
+    },
+    edited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: {
+        type: Date
+    },
+    // previous versions of the comment, oldest first
+    edit_history: {
+        type: [{
+            comment: String,
+            editedAt: Date
+        }],
+        default: []
     }
 
 },
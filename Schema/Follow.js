@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+const followSchema = mongoose.Schema({
+
+    follower: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    following: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'followedAt'
+    }
+})
+
+// a user can follow another one only once
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, followedAt: -1 });
+
+export default mongoose.model("follows", followSchema)
\ No newline at end of file
@@ -3,12 +3,13 @@ import mongoose, { Schema } from "mongoose";
 const notificationSchema = mongoose.Schema({
     type: {
         type: String,
-        enum: ["like", "comment", "reply"],
+        enum: ["like", "comment", "reply", "mention", "follow", "report_resolved"],
         required: true
     },
     blog: {
         type: Schema.Types.ObjectId,
-        required: true,
+        // following a user isn't about a blog, and a reported one may be gone
+        required: function() { return ["like", "comment", "reply", "mention"].includes(this.type) },
         ref: 'blogs'
     },
     notification_for: {
@@ -33,6 +34,10 @@ const notificationSchema = mongoose.Schema({
         type: Schema.Types.ObjectId,
         ref: 'comments'
     },
+    report: {
+        type: Schema.Types.ObjectId,
+        ref: 'reports'
+    },
     seen: {
         type: Boolean,
         default: false
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+const passwordResetSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    used: {
+        type: Boolean,
+        default: false
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'requestedAt'
+    }
+})
+
+// expired reset tokens are removed by mongo
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("password_resets", passwordResetSchema)
\ No newline at end of file
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+const readingListSchema = mongoose.Schema({
+
+    owner: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    name: {
+        type: String,
+        required: true,
+        maxlength: [60, 'Reading list name should not be more than 60 characters']
+    },
+    des: {
+        type: String,
+        maxlength: [200, 'Reading list description should not be more than 200 characters'],
+        default: ""
+    },
+    is_public: {
+        type: Boolean,
+        default: false
+    },
+    // kept in the order the owner arranged them
+    blogs: {
+        type: [Schema.Types.ObjectId],
+        ref: 'blogs',
+        default: []
+    }
+
+},
+{
+    timestamps: true
+})
+
+readingListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("reading_lists", readingListSchema)
\ No newline at end of file
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+const refreshTokenSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    // only a hash of the token is stored, the raw token lives on the client
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // every token issued from one sign-in shares a family, so a reused token can revoke the whole chain
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    replaced_by: {
+        type: String
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'issuedAt'
+    }
+})
+
+// let mongo clean up expired tokens by itself
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("refresh_tokens", refreshTokenSchema)
\ No newline at end of file
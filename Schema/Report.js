@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+
+const reportSchema = mongoose.Schema({
+
+    reporter: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    target_type: {
+        type: String,
+        enum: ["comment", "blog"],
+        required: true
+    },
+    blog: {
+        type: Schema.Types.ObjectId,
+        ref: 'blogs'
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        ref: 'comments'
+    },
+    // whose content was reported, so a suspension still knows after the content is deleted
+    reported_user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    reason: {
+        type: String,
+        enum: ["spam", "harassment", "hate", "violence", "sexual", "misinformation", "other"],
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: [500, 'Report details should not be more than 500 characters'],
+        default: ""
+    },
+    status: {
+        type: String,
+        enum: ["open", "resolved"],
+        default: "open"
+    },
+    action: {
+        type: String,
+        enum: ["dismiss", "hide", "delete", "suspend"]
+    },
+    note: {
+        type: String,
+        default: ""
+    },
+    resolved_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    resolvedAt: {
+        type: Date
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'reportedAt'
+    }
+})
+
+reportSchema.index({ status: 1, reportedAt: 1 });
+reportSchema.index({ reporter: 1, blog: 1, comment: 1 });
+
+export default mongoose.model("reports", reportSchema)
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+// a tag that is saved and searched as another one, e.g. "js" -> "javascript"
+const tagAliasSchema = mongoose.Schema({
+
+    alias: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    tag: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    created_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'createdAt'
+    }
+})
+
+tagAliasSchema.index({ tag: 1 });
+
+export default mongoose.model("tag_aliases", tagAliasSchema)
\ No newline at end of file
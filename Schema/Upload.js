@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// a file uploaded through /get-upload-url, used for quotas and to clean up files nothing uses
+const uploadSchema = mongoose.Schema({
+
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    owner: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'users'
+    },
+    // the storage driver the file is in
+    driver: {
+        type: String,
+        required: true
+    },
+    content_type: {
+        type: String,
+        required: true
+    },
+    // the size the client announced, replaced by the real one once the file is checked
+    size: {
+        type: Number,
+        required: true
+    },
+    verified: {
+        type: Boolean,
+        default: false
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'uploadedAt'
+    }
+})
+
+uploadSchema.index({ owner: 1 });
+uploadSchema.index({ uploadedAt: 1 });
+
+export default mongoose.model("uploads", uploadSchema)
\ No newline at end of file
@@ -71,11 +71,30 @@ const userSchema = mongoose.Schema({
             type: Number,
             default: 0
         },
+        total_followers: {
+            type: Number,
+            default: 0
+        },
+        total_following: {
+            type: Number,
+            default: 0
+        },
     },
     google_auth: {
         type: Boolean,
         default: false
     },
+    // what the user is allowed to do, see 'permissions' in server.js
+    role: {
+        type: String,
+        enum: ["reader", "author", "moderator", "admin"],
+        default: "author"
+    },
+    // set by a moderator, a suspended user can't sign in or write anything
+    suspended: {
+        type: Boolean,
+        default: false
+    },
     blogs: {
         type: [ Schema.Types.ObjectId ],
         ref: 'blogs',
@@ -90,4 +109,9 @@ const userSchema = mongoose.Schema({
 
 })
 
+userSchema.index({ "personal_info.username": "text", "personal_info.fullname": "text" }, {
+    name: "user_search",
+    weights: { "personal_info.username": 2, "personal_info.fullname": 1 }
+})
+
 export default mongoose.model("users", userSchema);
\ No newline at end of file
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+
+// Response caching for read routes that change rarely.
+//
+// Entries live in a store with async `get(key)`, `set(key, entry, { ttlMs, tags })` and `invalidate(tags)`
+// methods, so a shared store (redis...) can replace the in-memory LRU one with setCacheStore.
+// Every entry is tagged with what it was built from (e.g. "blogs", "blog:<_id>") and the routes changing
+// that data invalidate the tags. The TTL bounds how stale an entry can get from changes nothing invalidates.
+
+class LruStore {
+
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        // Map keeps insertion order, the least recently used entry is the first one
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    async get(key) {
+        let entry = this.entries.get(key);
+
+        if(!entry) {
+            return undefined;
+        }
+
+        if(entry.expiresAt <= Date.now()) {
+            this.remove(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    async set(key, value, { ttlMs, tags = [] }) {
+        this.remove(key);
+
+        this.entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+
+        tags.forEach(tag => {
+            if(!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(key);
+        });
+
+        while(this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async invalidate(tags) {
+        tags.forEach(tag => {
+            [...(this.tags.get(tag) || [])].forEach(key => this.remove(key));
+        });
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    remove(key) {
+        let entry = this.entries.get(key);
+
+        if(!entry) {
+            return;
+        }
+
+        this.entries.delete(key);
+
+        entry.tags.forEach(tag => {
+            let keys = this.tags.get(tag);
+            keys.delete(key);
+            if(!keys.size) {
+                this.tags.delete(tag);
+            }
+        });
+    }
+}
+
+let store = new LruStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000 });
+
+const setCacheStore = (newStore) => {
+    ["get", "set", "invalidate"].forEach(method => {
+        if(!newStore || typeof newStore[method] != "function") {
+            throw new Error(`A cache store needs a ${method} method`);
+        }
+    });
+    store = newStore;
+}
+
+let defaultTtlMs = (Number(process.env.CACHE_TTL_SECONDS) || 60) * 1000;
+
+// hits and misses per cached route since the server started
+let metrics = { routes: {}, invalidations: 0, errors: 0 };
+
+const routeMetrics = (name) => {
+    if(!metrics.routes[name]) {
+        metrics.routes[name] = { hits: 0, misses: 0 };
+    }
+    return metrics.routes[name];
+}
+
+const etagOf = (text) => `W/"${crypto.createHash("sha1").update(text).digest("base64url")}"`;
+
+// does the client already have this version, If-None-Match can list several etags or be *
+const isFresh = (req, etag) => {
+    let header = req.get("if-none-match");
+
+    if(!header) {
+        return false;
+    }
+
+    return header.trim() == "*" || header.split(",").some(tag => tag.trim() == etag || tag.trim() == etag.slice(2));
+}
+
+const sendEntry = (req, res, entry, status) => {
+    res.set("ETag", entry.etag);
+    res.set("X-Cache", status);
+
+    if(isFresh(req, entry.etag)) {
+        return res.status(304).end();
+    }
+
+    return res.type("json").send(entry.body);
+}
+
+// route middleware caching the route's 200 JSON answers.
+//   key(req)          what the answer depends on, besides the route
+//   tags(req, body)   the data the answer was built from
+//   onHit(req, body)  runs when the answer comes from the cache, for side effects the route has (counting reads...)
+// a route can leave an answer out of the cache with res.locals.noCache = true
+const cacheResponse = ({ name, key = () => "", tags = () => [], ttlMs = defaultTtlMs, onHit }) => async (req, res, next) => {
+
+    let cacheKey = `${name}:${key(req)}`;
+    let stats = routeMetrics(name);
+
+    let entry;
+
+    // a broken store only means no caching
+    try {
+        entry = await store.get(cacheKey);
+    } catch(err) {
+        metrics.errors++;
+        console.log(err.message);
+    }
+
+    if(entry) {
+        stats.hits++;
+
+        if(onHit) {
+            onHit(req, JSON.parse(entry.body));
+        }
+
+        return sendEntry(req, res, entry, "HIT");
+    }
+
+    stats.misses++;
+
+    let json = res.json.bind(res);
+
+    res.json = (body) => {
+        if(res.statusCode != 200 || res.locals.noCache) {
+            return json(body);
+        }
+
+        let text = JSON.stringify(body);
+        let entry = { body: text, etag: etagOf(text) };
+
+        store.set(cacheKey, entry, { ttlMs, tags: tags(req, body) })
+        .catch(err => {
+            metrics.errors++;
+            console.log(err.message);
+        });
+
+        return sendEntry(req, res, entry, "MISS");
+    }
+
+    next();
+}
+
+// drop the cached answers built from any of 'tags'
+const invalidateCache = (...tags) => {
+    metrics.invalidations++;
+
+    return Promise.resolve(store.invalidate(tags))
+    .catch(err => {
+        metrics.errors++;
+        console.log(err.message);
+    });
+}
+
+const cacheStats = async () => {
+    let routes = {};
+
+    Object.keys(metrics.routes).forEach(name => {
+        let { hits, misses } = metrics.routes[name];
+        routes[name] = { hits, misses, hit_rate: hits + misses ? hits / (hits + misses) : 0 };
+    });
+
+    return {
+        entries: typeof store.size == "function" ? await store.size() : null,
+        invalidations: metrics.invalidations,
+        errors: metrics.errors,
+        routes
+    };
+}
+
+export { LruStore, setCacheStore, cacheResponse, invalidateCache, cacheStats };
\ No newline at end of file
@@ -0,0 +1,378 @@
+// Helpers for the Editor.js data stored in Blog.content.
+// The client sends `{ time, blocks, version }`, the schema keeps it inside an array.
+
+// all blocks of a blog's content, whichever shape it was stored in
+const getBlocks = (content) => {
+    if(!content) {
+        return [];
+    }
+
+    let docs = Array.isArray(content) ? content : [content];
+
+    return docs.flatMap(doc => (doc && Array.isArray(doc.blocks)) ? doc.blocks : []);
+}
+
+const entities = { "&nbsp;": " ", "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'" };
+
+// inline html (bold, links...) -> plain text
+const stripHtml = (html) => {
+    return String(html || "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;|&amp;|&lt;|&gt;|&quot;|&#39;/g, entity => entities[entity]);
+}
+
+// list items are plain strings, or { content, items } when nested
+const listItemsText = (items) => {
+    return (items || []).map(item => {
+        if(typeof item == "string") {
+            return stripHtml(item);
+        }
+        return [stripHtml(item && (item.content || item.text)), listItemsText(item && item.items)].join(" ");
+    }).join(" ");
+}
+
+const blockText = (block) => {
+    let data = (block && block.data) || {};
+
+    switch(block && block.type) {
+        case "paragraph":
+        case "header":
+            return stripHtml(data.text);
+        case "quote":
+            return [stripHtml(data.text), stripHtml(data.caption)].join(" ");
+        case "list":
+        case "checklist":
+            return listItemsText(data.items);
+        case "code":
+            return data.code || "";
+        case "image":
+        case "embed":
+            return stripHtml(data.caption);
+        default:
+            return stripHtml(data.text);
+    }
+}
+
+// the readable text of a blog, used for search
+const contentToText = (content) => {
+    return getBlocks(content)
+    .map(blockText)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const escapeHtml = (text) => {
+    return String(text == undefined ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// inline tags the editor produces, anything else is dropped but its text kept
+const allowedInlineTags = ["b", "strong", "i", "em", "u", "s", "mark", "code", "a", "br"];
+
+const safeUrl = (url) => {
+    url = String(url || "").trim().replace(/&amp;/g, "&");
+    return /^(https?:|mailto:)/i.test(url) ? url : "";
+}
+
+const hrefOf = (attrs) => {
+    let match = String(attrs || "").match(/href\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    return match ? safeUrl(match[1] != undefined ? match[1] : match[2]) : "";
+}
+
+// walk the inline html of a block, calling 'onText' for text and 'onOpen'/'onClose' for allowed tags.
+// stray closing tags are dropped and tags left open are closed at the end
+const walkInline = (html, { onText, onOpen, onClose }) => {
+
+    let out = "";
+    let open = [];
+
+    String(html || "").replace(/<(\/?)([a-zA-Z0-9]+)([^>]*)>|([^<]+)|</g, (match, closing, tag, attrs, text) => {
+
+        if(text != undefined || tag == undefined) {
+            out += onText(text != undefined ? text : "<");
+            return match;
+        }
+
+        tag = tag.toLowerCase();
+
+        if(!allowedInlineTags.includes(tag)) {
+            return match;
+        }
+
+        if(tag == "br") {
+            out += closing ? "" : onOpen(tag, attrs);
+            return match;
+        }
+
+        if(!closing) {
+            open.push(tag);
+            out += onOpen(tag, attrs);
+        } else if(open.includes(tag)) {
+            // close everything opened after it too
+            while(open.length) {
+                let last = open.pop();
+                out += onClose(last);
+                if(last == tag) {
+                    break;
+                }
+            }
+        }
+
+        return match;
+    });
+
+    while(open.length) {
+        out += onClose(open.pop());
+    }
+
+    return out;
+}
+
+// re-build the inline html of a block keeping only allowed tags and attributes
+const sanitizeInline = (html) => {
+    return walkInline(html, {
+        // text is already html encoded by the editor, only make sure no raw markup gets through
+        onText: (text) => text.replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;"),
+        onOpen: (tag, attrs) => {
+            if(tag == "br") {
+                return "<br>";
+            }
+            if(tag == "a") {
+                let href = hrefOf(attrs);
+                return href ? `<a href="${escapeHtml(href)}" rel="nofollow noopener" target="_blank">` : "<a>";
+            }
+            return `<${tag}>`;
+        },
+        onClose: (tag) => `</${tag}>`
+    });
+}
+
+const decodeEntities = (text) => text.replace(/&nbsp;|&amp;|&lt;|&gt;|&quot;|&#39;/g, entity => entities[entity]);
+
+// markdown allows raw html, so the text's <, > and & stay encoded
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, "\\$1").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// parentheses and spaces would end a markdown link early
+const markdownUrl = (url) => url.replace(/[()\s]/g, char => "%" + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"));
+
+const markdownMarks = { b: "**", strong: "**", i: "_", em: "_", s: "~~", code: "`" };
+
+// inline html -> markdown, links keep their target, unsupported marks keep their text
+const inlineToMarkdown = (html) => {
+
+    let links = [];
+
+    return walkInline(html, {
+        onText: (text) => escapeMarkdown(decodeEntities(text)),
+        onOpen: (tag, attrs) => {
+            if(tag == "br") {
+                return "  \n";
+            }
+            if(tag == "a") {
+                links.push(hrefOf(attrs));
+                return links[links.length - 1] ? "[" : "";
+            }
+            return markdownMarks[tag] || "";
+        },
+        onClose: (tag) => {
+            if(tag == "a") {
+                let href = links.pop();
+                return href ? `](${markdownUrl(href)})` : "";
+            }
+            return markdownMarks[tag] || "";
+        }
+    }).trim();
+}
+
+const listItems = (items) => {
+    return (items || []).map(item => typeof item == "string"
+        ? { text: item, items: [] }
+        : { text: (item && (item.content || item.text)) || "", items: (item && item.items) || [] });
+}
+
+const listItemsHtml = (items, tag) => {
+    return `<${tag}>` + listItems(items).map(item => {
+        let nested = item.items.length ? listItemsHtml(item.items, tag) : "";
+        return `<li>${sanitizeInline(item.text)}${nested}</li>`;
+    }).join("") + `</${tag}>`;
+}
+
+const listItemsMarkdown = (items, ordered, depth = 0) => {
+    return listItems(items).map((item, i) => {
+        let marker = ordered ? `${i + 1}.` : "-";
+        let line = "   ".repeat(depth) + `${marker} ${inlineToMarkdown(item.text)}`;
+        return item.items.length ? line + "\n" + listItemsMarkdown(item.items, ordered, depth + 1) : line;
+    }).join("\n");
+}
+
+const headerLevel = (data) => Math.min(Math.max(Number(data.level) || 2, 1), 6);
+
+// one renderer per output format, each block type maps to a function of the block's data
+const renderers = {
+
+    html: {
+        paragraph: (data) => `<p>${sanitizeInline(data.text)}</p>`,
+        header: (data) => `<h${headerLevel(data)}>${sanitizeInline(data.text)}</h${headerLevel(data)}>`,
+        list: (data) => listItemsHtml(data.items, data.style == "ordered" ? "ol" : "ul"),
+        quote: (data) => `<blockquote><p>${sanitizeInline(data.text)}</p>${data.caption ? `<cite>${sanitizeInline(data.caption)}</cite>` : ""}</blockquote>`,
+        image: (data) => {
+            let src = safeUrl(data.file && data.file.url);
+            if(!src) {
+                return "";
+            }
+            let caption = stripHtml(data.caption);
+            return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(caption)}">${caption ? `<figcaption>${sanitizeInline(data.caption)}</figcaption>` : ""}</figure>`;
+        },
+        code: (data) => `<pre><code>${escapeHtml(data.code)}</code></pre>`,
+        embed: (data) => {
+            let source = safeUrl(data.source || data.embed);
+            if(!source) {
+                return "";
+            }
+            return `<figure><a href="${escapeHtml(source)}" rel="nofollow noopener" target="_blank">${escapeHtml(data.service || source)}</a>${data.caption ? `<figcaption>${sanitizeInline(data.caption)}</figcaption>` : ""}</figure>`;
+        },
+        unsupported: (type) => `<!-- unsupported block: ${escapeHtml(type).replace(/-/g, "&#45;")} -->`
+    },
+
+    markdown: {
+        paragraph: (data) => inlineToMarkdown(data.text),
+        header: (data) => `${"#".repeat(headerLevel(data))} ${inlineToMarkdown(data.text)}`,
+        list: (data) => listItemsMarkdown(data.items, data.style == "ordered"),
+        quote: (data) => {
+            let quote = inlineToMarkdown(data.text).split("\n").map(line => `> ${line}`).join("\n");
+            return data.caption ? `${quote}\n>\n> — ${inlineToMarkdown(data.caption)}` : quote;
+        },
+        image: (data) => {
+            let src = safeUrl(data.file && data.file.url);
+            if(!src) {
+                return "";
+            }
+            let caption = escapeMarkdown(stripHtml(data.caption));
+            return `![${caption}](${markdownUrl(src)})` + (caption ? `\n\n_${caption}_` : "");
+        },
+        code: (data) => {
+            let code = String(data.code || "");
+            // the fence has to be longer than any run of backticks inside the code
+            let fence = "`".repeat(Math.max(3, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+            return `${fence}\n${code}\n${fence}`;
+        },
+        embed: (data) => {
+            let source = safeUrl(data.source || data.embed);
+            if(!source) {
+                return "";
+            }
+            let link = `[${escapeMarkdown(data.service || source)}](${markdownUrl(source)})`;
+            return data.caption ? `${link}\n\n_${inlineToMarkdown(data.caption)}_` : link;
+        },
+        unsupported: (type) => `<!-- unsupported block: ${String(type).replace(/-/g, "&#45;")} -->`
+    }
+
+};
+
+const renderFormats = Object.keys(renderers);
+
+class UnsupportedBlockError extends Error {
+    constructor(type) {
+        super(`Unsupported block type: ${type}`);
+        this.name = "UnsupportedBlockError";
+        this.blockType = type;
+    }
+}
+
+// render a blog's content to 'html' or 'markdown'.
+// blocks of an unknown type are left as a comment ('placeholder', the default),
+// left out ('skip') or make the rendering fail ('throw').
+// returns the output and the list of unsupported block types found.
+const renderContent = (content, format, { onUnsupported = "placeholder" } = {}) => {
+
+    let renderer = renderers[format];
+
+    if(!renderer) {
+        throw new Error(`Unknown render format: ${format}`);
+    }
+
+    let unsupported = [];
+
+    let output = getBlocks(content).map(block => {
+
+        let type = block && block.type;
+        let render = Object.prototype.hasOwnProperty.call(renderer, type) && type != "unsupported" && renderer[type];
+
+        if(!render) {
+            type = String(type);
+
+            if(!unsupported.includes(type)) {
+                unsupported.push(type);
+            }
+
+            if(onUnsupported == "throw") {
+                throw new UnsupportedBlockError(type);
+            }
+
+            return onUnsupported == "skip" ? "" : renderer.unsupported(type);
+        }
+
+        return render((block && block.data) || {});
+    })
+    .filter(part => part.length)
+    .join(format == "html" ? "\n" : "\n\n");
+
+    return { output, unsupported };
+}
+
+// a blog's content as sanitized html
+const contentToHtml = (content, options) => renderContent(content, "html", options).output;
+
+const contentToMarkdown = (content, options) => renderContent(content, "markdown", options).output;
+
+// blocks saved by the editor carry an id, older ones are compared by their content
+const blockKey = (block) => (block && block.id) ? `id:${block.id}` : `data:${JSON.stringify([block && block.type, block && block.data])}`;
+
+// block level diff of two versions of a blog's content.
+// returns [{ op: 'unchanged' | 'changed' | 'added' | 'removed', from, to, block, previous }]
+// where 'from'/'to' are the block's indexes in the old/new content
+const diffBlocks = (oldContent, newContent) => {
+
+    let a = getBlocks(oldContent);
+    let b = getBlocks(newContent);
+    let aKeys = a.map(blockKey);
+    let bKeys = b.map(blockKey);
+
+    // longest common subsequence of the block keys
+    let lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for(let i = a.length - 1; i >= 0; i--) {
+        for(let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = aKeys[i] == bKeys[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let diff = [];
+    let i = 0, j = 0;
+
+    while(i < a.length || j < b.length) {
+        if(i < a.length && j < b.length && aKeys[i] == bKeys[j]) {
+            let same = JSON.stringify([a[i].type, a[i].data]) == JSON.stringify([b[j].type, b[j].data]);
+            diff.push(same
+                ? { op: "unchanged", from: i, to: j, block: b[j] }
+                : { op: "changed", from: i, to: j, block: b[j], previous: a[i] });
+            i++; j++;
+        } else if(j < b.length && (i == a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            diff.push({ op: "added", to: j, block: b[j] });
+            j++;
+        } else {
+            diff.push({ op: "removed", from: i, block: a[i] });
+            i++;
+        }
+    }
+
+    return diff;
+}
+
+export { getBlocks, stripHtml, contentToText, escapeHtml, sanitizeInline, renderFormats, renderContent, contentToHtml, contentToMarkdown, UnsupportedBlockError, diffBlocks };
\ No newline at end of file
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// Every error response is { error: <message for people>, code: <stable code for clients> } plus
+// optional details (e.g. the invalid `field`). Routes either send one directly or hand an ApiError
+// (or any other error) to next() and let errorHandler answer.
+
+class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// the code used when a response doesn't name a more specific one
+const statusCodes = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR"
+};
+
+const defaultCode = (status) => statusCodes[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+
+// fills in the code of error responses sent with res.status(...).json({ error })
+const errorCodes = (req, res, next) => {
+    let json = res.json.bind(res);
+
+    res.json = (body) => {
+        if(res.statusCode >= 400 && body && typeof body == "object" && body.error != undefined && !body.code) {
+            body = { ...body, code: defaultCode(res.statusCode) };
+        }
+        return json(body);
+    }
+
+    next();
+}
+
+// turns library errors into the ApiError they stand for
+const toApiError = (err) => {
+
+    if(err instanceof ApiError) {
+        return err;
+    }
+
+    // body-parser
+    if(err.type == "entity.parse.failed") {
+        return new ApiError(400, "INVALID_JSON", "The request body is not valid JSON");
+    }
+    if(err.type == "entity.too.large") {
+        return new ApiError(413, "PAYLOAD_TOO_LARGE", "The request body is too large");
+    }
+
+    if(err instanceof mongoose.Error.CastError) {
+        return new ApiError(400, "INVALID_ID", `${err.path} is invalid`, { field: err.path });
+    }
+    if(err instanceof mongoose.Error.ValidationError) {
+        let field = Object.keys(err.errors)[0];
+        return new ApiError(400, "VALIDATION_ERROR", err.errors[field].message, { field });
+    }
+    if(err.code == 11000) {
+        let field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+        return new ApiError(409, "DUPLICATE", `${field || "This value"} already exists`, field ? { field } : {});
+    }
+
+    return new ApiError(500, "INTERNAL_ERROR", err.message || "Something went wrong, please try again later");
+}
+
+// 404 for routes that don't exist
+const notFoundHandler = (req, res, next) => {
+    next(new ApiError(404, "ROUTE_NOT_FOUND", `Cannot ${req.method} ${req.path}`));
+}
+
+const errorHandler = (err, req, res, next) => {
+
+    let apiError = toApiError(err);
+
+    if(apiError.status >= 500) {
+        console.log(err);
+    }
+
+    // the response may already be on its way (e.g. a stream that failed midway)
+    if(res.headersSent) {
+        return next(err);
+    }
+
+    return res.status(apiError.status).json({ error: apiError.message, code: apiError.code, ...apiError.details });
+}
+
+export { ApiError, errorCodes, notFoundHandler, errorHandler };
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Builders for the syndication feeds - RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+//
+// feed: { title, description, home_page_url, feed_url, updated }
+// items: [{ id, url, title, summary, image, author: { name, url }, tags, published, updated, content_html }]
+
+const escapeXml = (text) => {
+    return String(text == undefined ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// enclosures need a mime type, guessed from the file extension
+const imageType = (url) => {
+    let extension = (String(url).split("?")[0].match(/\.([a-zA-Z]+)$/) || [])[1];
+    extension = extension && extension.toLowerCase();
+
+    return { png: "image/png", webp: "image/webp", gif: "image/gif" }[extension] || "image/jpeg";
+}
+
+const toRss = (feed, items) => {
+
+    let entries = items.map(item => [
+        "<item>",
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link>${escapeXml(item.url)}</link>`,
+        `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `<pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+        `<dc:creator>${escapeXml(item.author.name)}</dc:creator>`,
+        ...item.tags.map(tag => `<category>${escapeXml(tag)}</category>`),
+        `<description>${escapeXml(item.summary)}</description>`,
+        item.content_html ? `<content:encoded>${escapeXml(item.content_html)}</content:encoded>` : "",
+        item.image ? `<enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>` : "",
+        "</item>"
+    ].filter(line => line.length).join("\n"));
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">`,
+        "<channel>",
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<link>${escapeXml(feed.home_page_url)}</link>`,
+        `<description>${escapeXml(feed.description)}</description>`,
+        `<atom:link href="${escapeXml(feed.feed_url)}" rel="self" type="application/rss+xml"/>`,
+        `<lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+        ...entries,
+        "</channel>",
+        "</rss>"
+    ].join("\n");
+}
+
+const toAtom = (feed, items) => {
+
+    let entries = items.map(item => [
+        "<entry>",
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link href="${escapeXml(item.url)}"/>`,
+        `<id>${escapeXml(item.url)}</id>`,
+        `<published>${new Date(item.published).toISOString()}</published>`,
+        `<updated>${new Date(item.updated).toISOString()}</updated>`,
+        `<author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>`,
+        ...item.tags.map(tag => `<category term="${escapeXml(tag)}"/>`),
+        `<summary>${escapeXml(item.summary)}</summary>`,
+        item.content_html ? `<content type="html">${escapeXml(item.content_html)}</content>` : "",
+        item.image ? `<link rel="enclosure" href="${escapeXml(item.image)}"/>` : "",
+        "</entry>"
+    ].filter(line => line.length).join("\n"));
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<feed xmlns="http://www.w3.org/2005/Atom">`,
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `<link href="${escapeXml(feed.home_page_url)}"/>`,
+        `<link href="${escapeXml(feed.feed_url)}" rel="self"/>`,
+        `<id>${escapeXml(feed.feed_url)}</id>`,
+        `<updated>${new Date(feed.updated).toISOString()}</updated>`,
+        ...entries,
+        "</feed>"
+    ].join("\n");
+}
+
+const toJsonFeed = (feed, items) => {
+
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        home_page_url: feed.home_page_url,
+        feed_url: feed.feed_url,
+        description: feed.description,
+        items: items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            image: item.image || undefined,
+            // JSON Feed items need some content, the summary does when the full post isn't included
+            ...(item.content_html ? { content_html: item.content_html } : { content_text: item.summary || "" }),
+            date_published: new Date(item.published).toISOString(),
+            date_modified: new Date(item.updated).toISOString(),
+            authors: [item.author],
+            tags: item.tags
+        }))
+    });
+}
+
+const feedFormats = {
+    rss: { contentType: "application/rss+xml; charset=utf-8", build: toRss },
+    atom: { contentType: "application/atom+xml; charset=utf-8", build: toAtom },
+    json: { contentType: "application/feed+json; charset=utf-8", build: toJsonFeed }
+};
+
+export { feedFormats, escapeXml };
\ No newline at end of file
@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+
+// Every transport is an object with a `send({ to, subject, text, html })` method returning a promise.
+// Pick one with MAIL_TRANSPORT ("console" or "file") or plug in your own with setMailTransport.
+
+// prints the mail to the server logs - the default for local development
+const consoleTransport = {
+    send: async (mail) => {
+        console.log(`---- mail to ${mail.to} ----`);
+        console.log(`Subject: ${mail.subject}`);
+        console.log(mail.text);
+        console.log("----");
+    }
+};
+
+// writes every mail as a JSON file in MAIL_DIR (./mails by default)
+const fileTransport = (dir = process.env.MAIL_DIR || "mails") => ({
+    send: async (mail) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        let fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@.]/g, "_")}.json`;
+
+        await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+    }
+});
+
+const transports = {
+    console: () => consoleTransport,
+    file: () => fileTransport()
+};
+
+let transport = (transports[process.env.MAIL_TRANSPORT] || transports.console)();
+
+// swap the transport, e.g. for an SMTP or API based one in production
+const setMailTransport = (newTransport) => {
+    if(!newTransport || typeof newTransport.send != "function") {
+        throw new Error("A mail transport needs a send method");
+    }
+    transport = newTransport;
+}
+
+const sendMail = (mail) => {
+    return transport.send({ from: process.env.MAIL_FROM || "no-reply@localhost", ...mail });
+}
+
+export { sendMail, setMailTransport, consoleTransport, fileTransport };
\ No newline at end of file
@@ -0,0 +1,341 @@
+import zlib from "zlib";
+
+// Converts Markdown documents into the Editor.js data stored in Blog.content.
+// Only the block tools our editor has are produced: paragraph, header, list, quote, image and code.
+
+// front matter is a small YAML subset: `key: value`, `key: [a, b]` and `key:` followed by `- item` lines
+const parseFrontMatter = (text) => {
+
+    let match = text.match(/^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+
+    if(!match) {
+        return { data: {}, body: text };
+    }
+
+    let data = {};
+    let listKey = null;
+
+    const unquote = (value) => value.trim().replace(/^(["'])([\s\S]*)\1$/, "$2");
+
+    match[1].split(/\r?\n/).forEach(line => {
+
+        let item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+
+        if(item && listKey) {
+            data[listKey].push(unquote(item[1]));
+            return;
+        }
+
+        let pair = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+
+        if(!pair) {
+            return;
+        }
+
+        let [, key, value] = pair;
+        key = key.toLowerCase();
+        value = value.trim();
+        listKey = null;
+
+        if(!value.length) {
+            data[key] = [];
+            listKey = key;
+        } else if(/^\[.*\]$/.test(value)) {
+            data[key] = value.slice(1, -1).split(",").map(unquote).filter(item => item.length);
+        } else {
+            data[key] = unquote(value);
+        }
+    });
+
+    return { data, body: text.slice(match[0].length) };
+}
+
+// quotes too, the text ends up in attribute values
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// only these links are kept, anything else (javascript:, data:...) could run script
+const isSafeUrl = (url) => /^(https?:|mailto:)/i.test(url);
+
+// inline markdown -> the inline html the editor uses
+const inlineToHtml = (text) => {
+
+    let codes = [];
+
+    // keep code spans away from the other rules
+    let html = escapeHtml(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        codes.push(`<code class="inline-code">${code.trim()}</code>`);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    html = html
+    // the text is escaped already, so a title's quotes are &quot; here.
+    // a link target can hold balanced parentheses, all of it is checked before it's kept
+    .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;.*?&quot;)?\)/g, (match, alt, url) => isSafeUrl(url) ? `<a href="${url}">${alt || url}</a>` : alt)
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;.*?&quot;)?\)/g, (match, label, url) => isSafeUrl(url) ? `<a href="${url}">${label}</a>` : label)
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, `<a href="$1">$1</a>`)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<b>$1</b>")
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<b>$2</b>")
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<i>$1</i>")
+    // underscores inside words (snake_case) are not emphasis
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<i>$2</i>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")
+    .replace(/\\([\\`*_{}\[\]()#+\-.!>~|])/g, "$1")
+    .replace(/ {2,}\n|\\\n/g, "<br>")
+    .replace(/\n/g, " ");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => codes[i]);
+}
+
+const fenceRegex = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)\s*$/;
+const headerRegex = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const listItemRegex = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const quoteRegex = /^ {0,3}>\s?(.*)$/;
+const imageRegex = /^\s*!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)\s*$/;
+const ruleRegex = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const setextRegex = /^ {0,3}(=+|-+)\s*$/;
+
+// a markdown body -> Editor.js blocks
+const markdownToBlocks = (markdown) => {
+
+    let lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+    let blocks = [];
+    let i = 0;
+
+    const isBlank = (line) => !line.trim().length;
+
+    // a line that starts a block other than a paragraph
+    const startsBlock = (line) => fenceRegex.test(line) || headerRegex.test(line) || listItemRegex.test(line) || quoteRegex.test(line) || imageRegex.test(line) || ruleRegex.test(line);
+
+    while(i < lines.length) {
+
+        let line = lines[i];
+
+        if(isBlank(line) || ruleRegex.test(line)) {
+            i++;
+            continue;
+        }
+
+        let fence = line.match(fenceRegex);
+
+        if(fence) {
+            let code = [];
+            i++;
+            while(i < lines.length && !(lines[i].trim().startsWith(fence[1][0].repeat(fence[1].length)) && !lines[i].trim().replace(/[`~]/g, "").length)) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: "code", data: { code: code.join("\n") } });
+            continue;
+        }
+
+        let header = line.match(headerRegex);
+
+        if(header) {
+            blocks.push({ type: "header", data: { text: inlineToHtml(header[2]), level: header[1].length } });
+            i++;
+            continue;
+        }
+
+        let image = line.match(imageRegex);
+
+        if(image) {
+            // an image that isn't on the web is dropped
+            if(/^https?:/i.test(image[2])) {
+                blocks.push({ type: "image", data: { file: { url: image[2] }, caption: escapeHtml(image[1]), withBorder: false, stretched: false, withBackground: false } });
+            }
+            i++;
+            continue;
+        }
+
+        if(quoteRegex.test(line)) {
+            let quote = [];
+            while(i < lines.length && !isBlank(lines[i]) && (quoteRegex.test(lines[i]) || !startsBlock(lines[i]))) {
+                let quoted = lines[i].match(quoteRegex);
+                quote.push(quoted ? quoted[1] : lines[i]);
+                i++;
+            }
+            blocks.push({ type: "quote", data: { text: inlineToHtml(quote.join("\n")), caption: "", alignment: "left" } });
+            continue;
+        }
+
+        let listItem = line.match(listItemRegex);
+
+        if(listItem) {
+            let ordered = /\d/.test(listItem[2]);
+            let items = [];
+
+            // our list tool is flat, so nested items become items of their own
+            while(i < lines.length) {
+                let item = lines[i].match(listItemRegex);
+
+                if(item && /\d/.test(item[2]) != ordered) {
+                    // switching between bullets and numbers starts a new list
+                    break;
+                } else if(item) {
+                    items.push(item[3]);
+                } else if(!isBlank(lines[i]) && !startsBlock(lines[i]) && items.length) {
+                    // a wrapped line of the previous item
+                    items[items.length - 1] += "\n" + lines[i].trim();
+                } else if(isBlank(lines[i]) && lines[i + 1] != undefined && listItemRegex.test(lines[i + 1])) {
+                    // a blank line between items keeps the list going
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            blocks.push({ type: "list", data: { style: ordered ? "ordered" : "unordered", items: items.map(inlineToHtml) } });
+            continue;
+        }
+
+        let paragraph = [];
+        let setextLevel = 0;
+
+        while(i < lines.length && !isBlank(lines[i])) {
+
+            // a paragraph underlined with === or --- is a header
+            if(paragraph.length && setextRegex.test(lines[i])) {
+                setextLevel = lines[i].trim()[0] == "=" ? 1 : 2;
+                i++;
+                break;
+            }
+
+            if(paragraph.length && startsBlock(lines[i])) {
+                break;
+            }
+
+            paragraph.push(lines[i]);
+            i++;
+        }
+
+        if(setextLevel) {
+            blocks.push({ type: "header", data: { text: inlineToHtml(paragraph.join("\n")), level: setextLevel } });
+            continue;
+        }
+
+        blocks.push({ type: "paragraph", data: { text: inlineToHtml(paragraph.join("\n")) } });
+    }
+
+    return blocks;
+}
+
+const tagsOf = (tags) => {
+    if(!tags) {
+        return [];
+    }
+    return (Array.isArray(tags) ? tags : String(tags).split(",")).map(tag => String(tag).trim()).filter(tag => tag.length);
+}
+
+// a whole markdown document -> the fields /create-blog takes.
+// without a title in the front matter the first level 1 heading is used
+const markdownToBlog = (markdown) => {
+
+    let { data, body } = parseFrontMatter(String(markdown || ""));
+
+    let blocks = markdownToBlocks(body);
+
+    let title = data.title || "";
+
+    if(!title.length) {
+        let index = blocks.findIndex(block => block.type == "header" && block.data.level == 1);
+        if(index >= 0) {
+            title = blocks[index].data.text.replace(/<[^>]*>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+            blocks.splice(index, 1);
+        }
+    }
+
+    return {
+        title: String(title),
+        des: String(data.description || data.des || ""),
+        banner: String(data.banner || data.cover_image || data.image || ""),
+        tags: tagsOf(data.tags),
+        content: { time: Date.now(), blocks }
+    };
+}
+
+// the markdown files of a zip archive as [{ name, markdown }], folders are flattened.
+// the limits are checked before and while inflating so a zip bomb can't fill up the memory
+const readMarkdownZip = (buffer, { maxFiles = 100, maxFileBytes = 1024 * 1024, maxTotalBytes = 20 * 1024 * 1024 } = {}) => {
+
+    // find the end of central directory record, it sits in the last 64kb
+    let eocd = -1;
+
+    for(let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if(buffer.readUInt32LE(i) == 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+
+    if(eocd < 0) {
+        throw new Error("Not a zip file");
+    }
+
+    let entries = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    let markdownEntries = [];
+
+    for(let n = 0; n < entries; n++) {
+
+        if(buffer.readUInt32LE(offset) != 0x02014b50) {
+            throw new Error("Zip file is corrupted");
+        }
+
+        let method = buffer.readUInt16LE(offset + 10);
+        let compressedSize = buffer.readUInt32LE(offset + 20);
+        let nameLength = buffer.readUInt16LE(offset + 28);
+        let extraLength = buffer.readUInt16LE(offset + 30);
+        let commentLength = buffer.readUInt16LE(offset + 32);
+        let localOffset = buffer.readUInt32LE(offset + 42);
+        let name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // skip folders, macOS metadata and anything that isn't markdown
+        if(name.endsWith("/") || name.startsWith("__MACOSX/") || !/\.(md|markdown)$/i.test(name)) {
+            continue;
+        }
+
+        markdownEntries.push({ name, method, compressedSize, localOffset });
+
+        if(markdownEntries.length > maxFiles) {
+            throw new Error(`You can import up to ${maxFiles} files at once`);
+        }
+    }
+
+    let files = [];
+    let totalBytes = 0;
+
+    for(let { name, method, compressedSize, localOffset } of markdownEntries) {
+
+        let dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        let data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if(method == 8) {
+            try {
+                data = zlib.inflateRawSync(data, { maxOutputLength: maxFileBytes + 1 });
+            } catch(err) {
+                throw new Error(err.code == "ERR_BUFFER_TOO_LARGE" ? `${name} is bigger than ${maxFileBytes / 1024}kb` : `${name} is corrupted`);
+            }
+        } else if(method != 0) {
+            throw new Error(`${name} uses an unsupported zip compression`);
+        }
+
+        if(data.length > maxFileBytes) {
+            throw new Error(`${name} is bigger than ${maxFileBytes / 1024}kb`);
+        }
+
+        totalBytes += data.length;
+
+        if(totalBytes > maxTotalBytes) {
+            throw new Error(`The files can't be more than ${maxTotalBytes / 1024 / 1024}MB in total`);
+        }
+
+        files.push({ name: name.split("/").pop(), markdown: data.toString("utf8") });
+    }
+
+    return files;
+}
+
+export { parseFrontMatter, markdownToBlocks, markdownToBlog, readMarkdownZip };
\ No newline at end of file
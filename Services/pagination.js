@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { ApiError } from "./errors.js";
+
+// Opaque cursors for paging through listings.
+//
+// A cursor of a listing sorted by a date holds that date and the _id of the last item of a page,
+// the next page starts right after that item so posts or comments arriving in between don't
+// shift it (no duplicates or gaps) and no documents are skipped over on deep pages.
+// Relevance ranked listings have no stable order to key on, their cursor holds an offset.
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString("base64url");
+
+// { at, id } or { offset }, null when 'cursor' isn't one of ours
+const decodeCursor = (cursor) => {
+    try {
+        let data = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+
+        if(Number.isInteger(data.offset) && data.offset >= 0) {
+            return { offset: data.offset };
+        }
+        if(mongoose.isValidObjectId(data.id) && typeof data.at == "string" && !isNaN(new Date(data.at))) {
+            return { at: new Date(data.at), id: new mongoose.Types.ObjectId(data.id) };
+        }
+    } catch(err) {}
+
+    return null;
+}
+
+// validation rule, an empty or null cursor asks for the first page
+const cursorField = { type: "string", check: (value) => !value || decodeCursor(value) ? undefined : "cursor is invalid", code: "INVALID_CURSOR" };
+
+const invalidCursor = () => new ApiError(400, "INVALID_CURSOR", "This cursor can't be used with this listing", { field: "cursor" });
+
+// the query for the items after 'cursor' in a { [field]: -1, _id: -1 } sort, {} for the first page
+const afterCursor = (cursor, field) => {
+
+    if(!cursor) {
+        return {};
+    }
+
+    let data = decodeCursor(cursor);
+
+    if(!data || !data.id) {
+        throw invalidCursor();
+    }
+
+    return { $or: [{ [field]: { $lt: data.at } }, { [field]: data.at, _id: { $lt: data.id } }] };
+}
+
+// how many items a ranked listing's cursor is past
+const cursorOffset = (cursor) => {
+
+    let data = decodeCursor(cursor);
+
+    if(!data || data.offset == undefined) {
+        throw invalidCursor();
+    }
+
+    return data.offset;
+}
+
+// listings fetch one item more than 'limit' to know whether there's a next page,
+// 'nextCursor' makes the cursor from the last item of this one
+const toPage = (items, limit, nextCursor) => {
+
+    let has_more = items.length > limit;
+
+    items = items.slice(0, limit);
+
+    return { items, has_more, next_cursor: has_more ? nextCursor(items[items.length - 1]) : null };
+}
+
+// the nextCursor of a listing sorted by 'field'
+const keysetCursor = (field) => (item) => encodeCursor({ at: new Date(item[field]).toISOString(), id: item._id.toString() });
+
+export { encodeCursor, decodeCursor, cursorField, afterCursor, cursorOffset, toPage, keysetCursor };
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Rate limiting and sign-in lockout.
+//
+// Counters live in a store with async `increment(key, windowMs)`, `get(key)`, `set(key, value, ttlMs)`
+// and `reset(key)` methods, so a shared store (redis...) can replace the in-memory one with setRateLimitStore.
+
+class MemoryStore {
+
+    constructor() {
+        this.entries = new Map();
+
+        // drop expired entries now and then so the map doesn't grow forever
+        this.cleanup = setInterval(() => {
+            let now = Date.now();
+            this.entries.forEach((entry, key) => {
+                if(entry.expiresAt <= now) {
+                    this.entries.delete(key);
+                }
+            });
+        }, 60 * 1000);
+        this.cleanup.unref();
+    }
+
+    // returns { count, resetAt } for the window the hit falls in
+    async increment(key, windowMs) {
+        let now = Date.now();
+        let entry = this.entries.get(key);
+
+        if(!entry || entry.expiresAt <= now || typeof entry.value != "number") {
+            entry = { value: 0, expiresAt: now + windowMs };
+            this.entries.set(key, entry);
+        }
+
+        entry.value++;
+
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    async get(key) {
+        let entry = this.entries.get(key);
+        return (entry && entry.expiresAt > Date.now()) ? entry.value : undefined;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async reset(key) {
+        this.entries.delete(key);
+    }
+}
+
+let store = new MemoryStore();
+
+const setRateLimitStore = (newStore) => {
+    ["increment", "get", "set", "reset"].forEach(method => {
+        if(!newStore || typeof newStore[method] != "function") {
+            throw new Error(`A rate limit store needs a ${method} method`);
+        }
+    });
+    store = newStore;
+}
+
+let units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "20/15m" -> { max: 20, windowMs: 900000 }, used for RATE_LIMIT_<NAME> overrides
+const parseLimit = (text) => {
+    let match = String(text || "").trim().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+
+    if(!match) {
+        return null;
+    }
+
+    return { max: Number(match[1]), windowMs: (Number(match[2]) || 1) * units[match[3]] };
+}
+
+const sendTooManyRequests = (res, retryAfterMs, message) => {
+    res.set("Retry-After", String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+    return res.status(429).json({ error: message || "Too many requests, please try again later" });
+}
+
+// express middleware allowing 'max' requests per 'windowMs' for each key.
+// 'key' picks what is limited (the ip by default), requests it returns nothing for aren't limited.
+// RATE_LIMIT_<NAME> (e.g. RATE_LIMIT_SIGNIN_IP=20/15m) overrides the numbers
+const rateLimit = ({ name, max, windowMs, key = (req) => req.ip, message }) => {
+
+    let override = parseLimit(process.env[`RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`]);
+
+    if(override) {
+        ({ max, windowMs } = override);
+    }
+
+    return (req, res, next) => {
+
+        let id = key(req);
+
+        if(id == undefined || id === "") {
+            return next();
+        }
+
+        store.increment(`${name}:${id}`, windowMs)
+        .then(({ count, resetAt }) => {
+
+            let resetMs = Math.max(resetAt - Date.now(), 0);
+
+            res.set("RateLimit-Limit", String(max));
+            res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+            res.set("RateLimit-Reset", String(Math.ceil(resetMs / 1000)));
+
+            if(count > max) {
+                return sendTooManyRequests(res, resetMs, message);
+            }
+
+            next();
+        })
+        // a broken store shouldn't take the routes down with it
+        .catch(err => {
+            console.log(err.message);
+            next();
+        })
+    }
+}
+
+// progressive lockout: after 'freeAttempts' failures within 'failureWindowMs' every further failure
+// locks the account for 'baseLockMs', doubling each time up to 'maxLockMs'
+const createLoginGuard = ({ name = "login", freeAttempts = 5, failureWindowMs = 15 * 60 * 1000, baseLockMs = 60 * 1000, maxLockMs = 60 * 60 * 1000 } = {}) => {
+
+    // how long the account is still locked for, 0 if it isn't
+    const lockedFor = async (id) => {
+        let lockedUntil = await store.get(`${name}-lock:${id}`);
+        return lockedUntil ? Math.max(lockedUntil - Date.now(), 0) : 0;
+    }
+
+    const fail = async (id) => {
+        // failures are remembered long enough for the longest lock to apply
+        let { count } = await store.increment(`${name}-fail:${id}`, Math.max(failureWindowMs, maxLockMs));
+
+        if(count > freeAttempts) {
+            let lockMs = Math.min(baseLockMs * Math.pow(2, count - freeAttempts - 1), maxLockMs);
+            await store.set(`${name}-lock:${id}`, Date.now() + lockMs, lockMs);
+        }
+    }
+
+    const succeed = async (id) => {
+        await store.reset(`${name}-fail:${id}`);
+        await store.reset(`${name}-lock:${id}`);
+    }
+
+    return { lockedFor, fail, succeed };
+}
+
+export { MemoryStore, setRateLimitStore, rateLimit, createLoginGuard, sendTooManyRequests, parseLimit };
\ No newline at end of file
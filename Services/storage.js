@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import aws from "aws-sdk";
+import { nanoid } from "nanoid";
+
+// Every storage driver is an object with:
+//   createUpload({ key, contentType, expiresIn }) -> { uploadURL, url }  where the client PUTs the file and where it's served from
+//   stat(key)       -> { size, contentType } or null when there's no such file
+//   readStart(key, length) -> the first 'length' bytes of the file, to check what it really is
+//   remove(key)     -> deletes the file, missing files are fine
+//   keyFromUrl(url) -> the key of a file served by this driver, null for any other url
+// Pick one with STORAGE_DRIVER ("s3" or "local") or plug in your own with setStorageDriver.
+
+// the image types that can be uploaded, with their file extension
+const imageTypes = {
+    "image/jpeg": "jpeg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif"
+};
+
+const keyRegex = /^[\w-]+\.(jpeg|png|webp|gif)$/;
+
+const isValidKey = (key) => typeof key == "string" && keyRegex.test(key);
+
+// the type a file really is, judged by its first bytes
+const detectImageType = (buffer) => {
+
+    if(buffer.length >= 3 && buffer[0] == 0xff && buffer[1] == 0xd8 && buffer[2] == 0xff) {
+        return "image/jpeg";
+    }
+    if(buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return "image/png";
+    }
+    if(buffer.length >= 6 && ["GIF87a", "GIF89a"].includes(buffer.toString("ascii", 0, 6))) {
+        return "image/gif";
+    }
+    if(buffer.length >= 12 && buffer.toString("ascii", 0, 4) == "RIFF" && buffer.toString("ascii", 8, 12) == "WEBP") {
+        return "image/webp";
+    }
+
+    return null;
+}
+
+// S3 - the client uploads straight to the bucket with a presigned url
+const s3Driver = ({ region = process.env.AWS_REGION || "us-west-2", bucket = process.env.S3_BUCKET || "react-js-fullstack-blogging-website" } = {}) => {
+
+    const s3 = new aws.S3({
+        region,
+        accessKeyId: process.env.AWS_ACCESS_KEY,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    });
+
+    return {
+        name: "s3",
+
+        createUpload: async ({ key, contentType, expiresIn }) => ({
+            // the signed Content-Type has to be sent with the upload
+            uploadURL: await s3.getSignedUrlPromise("putObject", { Bucket: bucket, Key: key, Expires: expiresIn, ContentType: contentType }),
+            url: `https://${bucket}.s3.${region}.amazonaws.com/${key}`
+        }),
+
+        stat: async (key) => {
+            try {
+                let head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+                return { size: head.ContentLength, contentType: head.ContentType };
+            } catch(err) {
+                if(err.code == "NotFound" || err.code == "NoSuchKey") {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        readStart: async (key, length) => {
+            let object = await s3.getObject({ Bucket: bucket, Key: key, Range: `bytes=0-${length - 1}` }).promise();
+            return Buffer.from(object.Body);
+        },
+
+        remove: async (key) => {
+            await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+        },
+
+        // images uploaded before keys were checked are still this bucket's, so only the host is looked at
+        keyFromUrl: (link) => {
+            try {
+                let url = new URL(link);
+                if(url.protocol == "https:" && url.hostname.startsWith(`${bucket}.s3`) && url.hostname.endsWith(".amazonaws.com")) {
+                    return decodeURIComponent(url.pathname.slice(1)) || null;
+                }
+            } catch(err) {}
+            return null;
+        }
+    };
+}
+
+// local disk - files go to UPLOAD_DIR (./uploads by default) and are uploaded to and served by this server,
+// the upload url carries a signature so only the requested file can be written
+const localDriver = ({ dir = process.env.UPLOAD_DIR || "uploads", publicURL = process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`, secret = process.env.UPLOAD_SECRET || process.env.SECRET_ACCESS_TOKEN || "" } = {}) => {
+
+    publicURL = publicURL.replace(/\/$/, "");
+
+    const sign = (key, contentType, expires) => crypto.createHmac("sha256", secret).update(`${key}:${contentType}:${expires}`).digest("hex");
+
+    const filePath = (key) => {
+        if(!isValidKey(key)) {
+            throw new Error("Invalid file name");
+        }
+        return path.join(dir, key);
+    }
+
+    return {
+        name: "local",
+        dir,
+
+        createUpload: async ({ key, contentType, expiresIn }) => {
+            let expires = Date.now() + expiresIn * 1000;
+            return {
+                uploadURL: `${publicURL}/${key}?expires=${expires}&signature=${sign(key, contentType, expires)}`,
+                url: `${publicURL}/${key}`
+            };
+        },
+
+        // is this a valid, unexpired upload url for 'key' with this content type
+        verifyUpload: ({ key, contentType, expires, signature }) => {
+            if(!isValidKey(key) || typeof signature != "string" || !(Number(expires) > Date.now())) {
+                return false;
+            }
+            let expected = Buffer.from(sign(key, contentType, expires));
+            let given = Buffer.from(signature);
+            return expected.length == given.length && crypto.timingSafeEqual(expected, given);
+        },
+
+        save: async (key, buffer) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(filePath(key), buffer);
+        },
+
+        stat: async (key) => {
+            try {
+                let stats = await fs.promises.stat(filePath(key));
+                return { size: stats.size, contentType: Object.keys(imageTypes).find(type => key.endsWith(`.${imageTypes[type]}`)) };
+            } catch(err) {
+                if(err.code == "ENOENT") {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        readStart: async (key, length) => {
+            let file = await fs.promises.open(filePath(key), "r");
+            try {
+                let { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, 0);
+                return buffer.subarray(0, bytesRead);
+            } finally {
+                await file.close();
+            }
+        },
+
+        remove: async (key) => {
+            await fs.promises.rm(filePath(key), { force: true });
+        },
+
+        keyFromUrl: (link) => {
+            if(typeof link != "string" || !link.startsWith(`${publicURL}/`)) {
+                return null;
+            }
+            let key = link.slice(publicURL.length + 1);
+            return isValidKey(key) ? key : null;
+        }
+    };
+}
+
+const drivers = {
+    s3: () => s3Driver(),
+    local: () => localDriver()
+};
+
+// S3 when it's configured, the local disk otherwise so development works offline
+let driver = (drivers[process.env.STORAGE_DRIVER] || (process.env.AWS_ACCESS_KEY ? drivers.s3 : drivers.local))();
+
+const setStorageDriver = (newDriver) => {
+    ["createUpload", "stat", "readStart", "remove", "keyFromUrl"].forEach(method => {
+        if(!newDriver || typeof newDriver[method] != "function") {
+            throw new Error(`A storage driver needs a ${method} method`);
+        }
+    });
+    driver = newDriver;
+}
+
+const getStorage = () => driver;
+
+// a new unique file name for an upload of 'contentType'
+const newUploadKey = (contentType) => `${nanoid()}-${Date.now()}.${imageTypes[contentType]}`;
+
+export { imageTypes, detectImageType, isValidKey, newUploadKey, s3Driver, localDriver, setStorageDriver, getStorage };
\ No newline at end of file
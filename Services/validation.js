@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import { ApiError } from "./errors.js";
+
+// Declarative request validation.
+//
+// A schema maps each field to a rule:
+//   type       string | number | integer | boolean | array | object | id | date | any
+//   required   the field must be present (null and "" count as missing for strings)
+//   default    value used when the field is missing
+//   trim       trim strings before checking them
+//   lowercase  lowercase strings
+//   minLength / maxLength   for strings and arrays
+//   min / max  for numbers and dates
+//   pattern    a regex strings must match
+//   enum       the allowed values
+//   items      a rule every array item must pass
+//   fields     a schema for the keys of an object
+//   check      (value, values) => error message | undefined, for anything else
+//   message    replaces the generated error message
+//   code       replaces the VALIDATION_ERROR code
+//
+// validate(schema, source) checks req[source] ("body" by default), writes back the cleaned values
+// (trimmed, coerced, defaults) and sends a 400 { error, code, field } for the first invalid field.
+
+const isMissing = (value) => value === undefined || value === null;
+
+const describe = (rule) => rule.type == "id" ? "a valid id" : rule.type == "integer" || rule.type == "array" || rule.type == "object" ? `an ${rule.type}` : `a ${rule.type}`;
+
+// returns [error message, cleaned value]
+const checkValue = (field, rule, value, values) => {
+
+    let { type = "any" } = rule;
+
+    if(type == "string") {
+        if(typeof value != "string") {
+            return [`${field} must be a string`];
+        }
+        if(rule.trim) {
+            value = value.trim();
+        }
+        if(rule.lowercase) {
+            value = value.toLowerCase();
+        }
+    }
+    else if(type == "number" || type == "integer") {
+        // query strings and form posts send numbers as text
+        if(typeof value == "string" && value.trim() != "" && !isNaN(value)) {
+            value = Number(value);
+        }
+        if(typeof value != "number" || !isFinite(value) || (type == "integer" && !Number.isInteger(value))) {
+            return [`${field} must be ${describe(rule)}`];
+        }
+    }
+    else if(type == "boolean") {
+        if(value === "true" || value === "false") {
+            value = value === "true";
+        }
+        if(typeof value != "boolean") {
+            return [`${field} must be true or false`];
+        }
+    }
+    else if(type == "array") {
+        if(!Array.isArray(value)) {
+            return [`${field} must be an array`];
+        }
+    }
+    else if(type == "object") {
+        if(typeof value != "object" || Array.isArray(value)) {
+            return [`${field} must be an object`];
+        }
+    }
+    else if(type == "id") {
+        if(typeof value != "string" || !mongoose.isValidObjectId(value)) {
+            return [`${field} must be a valid id`];
+        }
+    }
+    else if(type == "date") {
+        let date = new Date(value);
+        if((typeof value != "string" && typeof value != "number") || isNaN(date)) {
+            return [`${field} must be a valid date`];
+        }
+        value = date;
+    }
+
+    if(rule.required && type == "string" && !value.length) {
+        return [`${field} is required`];
+    }
+
+    let length = (type == "string" || type == "array") ? value.length : undefined;
+
+    if(length != undefined && rule.minLength != undefined && length < rule.minLength) {
+        return [type == "array" ? `${field} must have at least ${rule.minLength} items` : `${field} must be at least ${rule.minLength} characters long`];
+    }
+    if(length != undefined && rule.maxLength != undefined && length > rule.maxLength) {
+        return [type == "array" ? `${field} can't have more than ${rule.maxLength} items` : `${field} can't be more than ${rule.maxLength} characters long`];
+    }
+    if(rule.min != undefined && value < rule.min) {
+        return [`${field} must be at least ${rule.min}`];
+    }
+    if(rule.max != undefined && value > rule.max) {
+        return [`${field} can't be more than ${rule.max}`];
+    }
+    if(rule.pattern && !rule.pattern.test(value)) {
+        return [`${field} is invalid`];
+    }
+    if(rule.enum && !rule.enum.includes(value)) {
+        return [`${field} must be one of ${rule.enum.join(", ")}`];
+    }
+
+    if(type == "array" && rule.items) {
+        let items = [];
+        for(let i = 0; i < value.length; i++) {
+            let [error, item] = checkValue(`${field}[${i}]`, rule.items, value[i], values);
+            if(error) {
+                return [error];
+            }
+            items.push(item);
+        }
+        value = items;
+    }
+
+    if(type == "object" && rule.fields) {
+        let [error, cleaned] = checkValues(rule.fields, value, field);
+        if(error) {
+            return [error.message, undefined, error.field];
+        }
+        value = cleaned;
+    }
+
+    if(rule.check) {
+        let error = rule.check(value, values);
+        if(error) {
+            return [error];
+        }
+    }
+
+    return [null, value];
+}
+
+// returns [{ field, message, code }, cleaned values]
+const checkValues = (schema, values = {}, prefix) => {
+
+    let cleaned = { ...values };
+
+    for(let field of Object.keys(schema)) {
+
+        let rule = schema[field];
+        let name = prefix ? `${prefix}.${field}` : field;
+        let value = values[field];
+
+        if(isMissing(value) || (value === "" && rule.type != "string")) {
+            if(rule.required) {
+                return [{ field: name, message: rule.message || `${name} is required`, code: rule.code }];
+            }
+            if(rule.default !== undefined) {
+                cleaned[field] = typeof rule.default == "function" ? rule.default() : rule.default;
+            }
+            continue;
+        }
+
+        let [message, checked, nestedField] = checkValue(name, rule, value, values);
+
+        if(message) {
+            // a nested object reports its own field and message
+            return [{ field: nestedField || name, message: nestedField ? message : (rule.message || message), code: rule.code }];
+        }
+
+        cleaned[field] = checked;
+    }
+
+    return [null, cleaned];
+}
+
+const validate = (schema, source = "body") => {
+    return (req, res, next) => {
+
+        let [error, cleaned] = checkValues(schema, req[source] || {});
+
+        if(error) {
+            return next(new ApiError(400, error.code || "VALIDATION_ERROR", error.message, { field: error.field }));
+        }
+
+        // req.query is a getter in newer express versions, so update it in place
+        if(source == "query") {
+            Object.assign(req.query, cleaned);
+        } else {
+            req[source] = cleaned;
+        }
+
+        next();
+    }
+}
+
+export { validate, checkValues };
\ No newline at end of file
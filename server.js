@@ -8,13 +8,35 @@ import cors from "cors";
 import admin from "firebase-admin";  // firebase server-side
 import serviceAccountKey from "./react-js-fullstack-mern-blog-firebase-adminsdk-ofq61-6bf6e7a8ee.json" assert { type: "json" };  // firebase service account
 import { getAuth } from "firebase-admin/auth";
-import aws from "aws-sdk";
+import crypto from "crypto";
 
 // Schemas 
 import User from "./Schema/User.js";
 import Blog from "./Schema/Blog.js";
 import Notification from "./Schema/Notification.js";
 import Comment from "./Schema/Comment.js";
+import RefreshToken from "./Schema/RefreshToken.js";
+import PasswordReset from "./Schema/PasswordReset.js";
+import Follow from "./Schema/Follow.js";
+import Bookmark from "./Schema/Bookmark.js";
+import ReadingList from "./Schema/ReadingList.js";
+import BlogRevision from "./Schema/BlogRevision.js";
+import BlogView from "./Schema/BlogView.js";
+import BlogStat from "./Schema/BlogStat.js";
+import Report from "./Schema/Report.js";
+import Upload from "./Schema/Upload.js";
+import TagAlias from "./Schema/TagAlias.js";
+
+import { sendMail } from "./Services/mail.js";
+import { getBlocks, contentToText, contentToHtml, renderContent, renderFormats, UnsupportedBlockError, diffBlocks } from "./Services/editorjs.js";
+import { feedFormats } from "./Services/feeds.js";
+import { markdownToBlog, readMarkdownZip } from "./Services/markdown.js";
+import { rateLimit, createLoginGuard, sendTooManyRequests } from "./Services/rateLimit.js";
+import { ApiError, errorCodes, notFoundHandler, errorHandler } from "./Services/errors.js";
+import { validate } from "./Services/validation.js";
+import { imageTypes, detectImageType, newUploadKey, getStorage } from "./Services/storage.js";
+import { encodeCursor, cursorField, afterCursor, cursorOffset, toPage, keysetCursor } from "./Services/pagination.js";
+import { cacheResponse, invalidateCache, cacheStats } from "./Services/cache.js";
 
 const app = express();
 let PORT = 5000;
@@ -28,63 +50,245 @@ admin.initializeApp({
 // Email & Password pattern to follow 
 let emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/; // regex for email
 let passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/; // regex for password
+let usernameRegex = /^[a-zA-Z0-9._-]{3,30}$/; // regex for username
+
+// validation rules used by several routes (see Services/validation.js)
+let passwordMessage = "Password should be 6 to 20 characters long with a number, 1 lowercase and 1 uppercase letters";
+let emailField = { type: "string", required: true, trim: true, lowercase: true, pattern: emailRegex, message: "Email format is invalid", code: "INVALID_EMAIL" };
+let passwordField = { type: "string", required: true, pattern: passwordRegex, message: passwordMessage, code: "INVALID_PASSWORD" };
+let pageField = { type: "integer", min: 1, default: 1 };
+let blogIdField = { type: "string", required: true, trim: true, message: "blog_id is required" };
+let usernameField = { type: "string", required: true, trim: true };
+
+let bioLimit = 200;
+
+// the domains each social link has to point to, 'website' can be any site
+let socialLinksDomains = {
+    youtube: ["youtube.com", "youtu.be"],
+    instagram: ["instagram.com"],
+    facebook: ["facebook.com", "fb.com"],
+    twitter: ["twitter.com", "x.com"],
+    github: ["github.com"],
+    website: null
+};
 
 // Now the server accepts JSON data from frontend
-app.use(express.json());
+// (blog content and imported markdown documents can get big)
+app.use(express.json({ limit: "2mb" }));
 
 // now the server accepts data from any port
 app.use(cors());
 
+// every error response carries a machine-readable 'code' next to its message
+app.use(errorCodes);
+
+// behind a proxy req.ip is only the client's address if express trusts the proxy (e.g. TRUST_PROXY=1)
+if(process.env.TRUST_PROXY) {
+    app.set("trust proxy", isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Connect to database 
 mongoose.connect(process.env.DB_CONNECTION, {
     autoIndex: true
 });
 
-// set up AWS S3 bucket 
-const s3 = new aws.S3({
-    region: "us-west-2",
-    accessKeyId: process.env.AWS_ACCESS_KEY,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// accounts listed in ADMIN_EMAILS (comma separated) are made admins, so there's always a first one
+mongoose.connection.once("open", () => {
+    let emails = (process.env.ADMIN_EMAILS || "").split(",").map(email => email.trim().toLowerCase()).filter(email => email.length);
+
+    if(emails.length) {
+        User.updateMany({ "personal_info.email": { $in: emails } }, { role: "admin" })
+        .catch(err => console.log(err.message));
+    }
 });
 
-// generate upload URL to upload our imgs to AWS S3
-const generateUploadURL = async () => {
-    const date = new Date();
-    const imgName = `${nanoid()}-${date.getTime()}.jpeg`;  // store imgs with timestamp
+// blogs saved before search existed have no 'content_text' yet
+mongoose.connection.once("open", async () => {
+    try {
+        let blogs = Blog.find({ content_text: { $exists: false } }).select("content").cursor();
 
-    return await s3.getSignedUrlPromise("putObject", {
-        Bucket: "react-js-fullstack-blogging-website",
-        Key: imgName,
-        Expires: 1000,
-        ContentType: "image/jpeg"
-    });
+        for await (let blog of blogs) {
+            await Blog.updateOne({ _id: blog._id }, { content_text: contentToText(blog.content) });
+        }
+    } catch(err) {
+        console.log(err.message);
+    }
+});
+
+// image uploads go to the storage driver picked in Services/storage.js (S3 or the local disk)
+let maxUploadBytes = (Number(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+let uploadQuotaBytes = (Number(process.env.UPLOAD_QUOTA_MB) || 100) * 1024 * 1024;
+let uploadURLExpirySeconds = 1000;
+// uploads nothing uses are deleted once they're this old
+let orphanUploadHours = Number(process.env.ORPHAN_UPLOAD_HOURS) || 24;
+let uploadCleanupIntervalMinutes = Number(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES) || 60;
+
+// access tokens are short-lived, refresh tokens keep the user signed in
+const accessTokenExpiry = process.env.ACCESS_TOKEN_EXPIRY || "15m";
+const refreshTokenExpiryDays = Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30;
+const passwordResetExpiryMinutes = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30;
+
+// rate limits, each one can be changed with RATE_LIMIT_<NAME>=<max>/<window> (e.g. RATE_LIMIT_SIGNIN_IP=20/15m)
+const emailKey = (req) => typeof req.body.email == "string" ? req.body.email.trim().toLowerCase() : undefined;
+const userKey = (req) => req.user;
+// an account is only limited per ip, so nobody can use the limit to lock others out of their account
+const emailIpKey = (req) => emailKey(req) && `${emailKey(req)}:${req.ip}`;
+
+const rateLimits = {
+    signinIp: rateLimit({ name: "signin_ip", max: 20, windowMs: 15 * 60 * 1000, message: "Too many sign in attempts, please try again later" }),
+    signinAccount: rateLimit({ name: "signin_account", max: 10, windowMs: 15 * 60 * 1000, key: emailIpKey, message: "Too many sign in attempts, please try again later" }),
+    signupIp: rateLimit({ name: "signup_ip", max: 10, windowMs: 60 * 60 * 1000, message: "Too many accounts created, please try again later" }),
+    googleAuthIp: rateLimit({ name: "google_auth_ip", max: 20, windowMs: 15 * 60 * 1000, message: "Too many sign in attempts, please try again later" }),
+    passwordResetIp: rateLimit({ name: "password_reset_ip", max: 10, windowMs: 60 * 60 * 1000 }),
+    passwordResetAccount: rateLimit({ name: "password_reset_account", max: 3, windowMs: 60 * 60 * 1000, key: emailKey }),
+    commentIp: rateLimit({ name: "comment_ip", max: 30, windowMs: 60 * 1000, message: "You're commenting too fast, please slow down" }),
+    commentAccount: rateLimit({ name: "comment_account", max: 10, windowMs: 60 * 1000, key: userKey, message: "You're commenting too fast, please slow down" }),
+    writeIp: rateLimit({ name: "write_ip", max: 60, windowMs: 60 * 1000 }),
+    writeAccount: rateLimit({ name: "write_account", max: 30, windowMs: 60 * 1000, key: userKey }),
+    reportAccount: rateLimit({ name: "report_account", max: 20, windowMs: 60 * 60 * 1000, key: userKey, message: "Too many reports, please try again later" })
 };
 
+// after 5 failed sign ins the account is locked for 1 minute, doubling with each further failure up to an hour.
+// like the sign in rate limit, the lock only applies to the ip the failures came from
+const signinGuardKey = (req) => `${req.body.email}:${req.ip}`;
+
+const signinGuard = createLoginGuard({
+    name: "signin",
+    freeAttempts: Number(process.env.SIGNIN_FREE_ATTEMPTS) || 5,
+    baseLockMs: (Number(process.env.SIGNIN_LOCK_SECONDS) || 60) * 1000,
+    maxLockMs: (Number(process.env.SIGNIN_MAX_LOCK_SECONDS) || 60 * 60) * 1000
+});
+
 const verifyJWT = (req, res, next) => {
     const authHeader = req.headers["authorization"];
     const token = authHeader && authHeader.split(" ")[1];
 
     if(token == null) {
-        return res.status(401).json({ error: "No access token" });
+        return res.status(401).json({ error: "No access token", code: "MISSING_TOKEN" });
     }
 
     jwt.verify(token, process.env.SECRET_ACCESS_TOKEN, (err, user) => {
         if(err) {
-            return res.status(403).json({ error: "Invalid access token" });
+            // an expired token is not an invalid one, the client can refresh it silently
+            if(err.name == "TokenExpiredError") {
+                return res.status(401).json({ error: "Access token expired", code: "TOKEN_EXPIRED", token_expired: true });
+            }
+            return res.status(401).json({ error: "Invalid access token", code: "INVALID_TOKEN" });
         }
 
         req.user = user.id
+
+        // a suspension applies right away, not once the access token expires
+        loadUserRole(req, res, next)
+    })
+}
+
+// same as verifyJWT but lets requests without a valid token through, 'req.user' is then left unset
+const optionalJWT = (req, res, next) => {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1];
+
+    if(token == null) {
+        return next();
+    }
+
+    jwt.verify(token, process.env.SECRET_ACCESS_TOKEN, (err, user) => {
+        if(!err) {
+            req.user = user.id
+        }
+        next()
+    })
+}
+
+// roles from least to most privileged
+const roles = ["reader", "author", "moderator", "admin"];
+
+// the least role needed for each action,
+// for edit/delete actions the owner of the content is always allowed as well
+const permissions = {
+    "blog:create": "author",
+    "blog:edit": "admin",
+    "blog:delete": "moderator",
+    "comment:delete": "moderator",
+    "content:moderate": "moderator",
+    "roles:manage": "admin",
+    "tags:manage": "admin",
+    "cache:view": "admin"
+};
+
+const hasRole = (role, minRole) => roles.indexOf(role) >= roles.indexOf(minRole);
+
+// strictly more privileged, e.g. to act on another user's account
+const outranks = (role, otherRole) => roles.indexOf(role) > roles.indexOf(otherRole);
+
+// the role is read from the database on every request so a revoked role applies right away,
+// verifyJWT loads it already
+const loadUserRole = (req, res, next) => {
+
+    if(req.role) {
+        return next();
+    }
+
+    User.findById(req.user)
+    .select("role suspended")
+    .then(user => {
+        if(!user) {
+            return res.status(401).json({ error: "User not found", code: "USER_NOT_FOUND" });
+        }
+
+        if(user.suspended) {
+            return res.status(403).json({ error: "Your account has been suspended", code: "ACCOUNT_SUSPENDED" });
+        }
+
+        req.role = user.role || "author";
         next()
     })
+    .catch(next)
+}
+
+// can the signed in user do 'action', 'owners' are the users owning the content acted on
+const authorize = (req, action, owners = []) => {
+    if(owners.some(owner => owner && (owner._id || owner).toString() == req.user)) {
+        return true;
+    }
+    return hasRole(req.role, permissions[action]);
+}
+
+// route middleware for actions that only depend on the role
+const requirePermission = (action) => [verifyJWT, loadUserRole, (req, res, next) => {
+    if(!hasRole(req.role, permissions[action])) {
+        return res.status(403).json({ error: "You don't have permission to do this", code: "PERMISSION_DENIED" });
+    }
+    next()
+}]
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// store a new refresh token for the user and hand back the raw value,
+// pass the family of the token being rotated to keep the chain together
+const issueRefreshToken = async (user_id, family = nanoid()) => {
+
+    const refresh_token = crypto.randomBytes(48).toString("hex");
+
+    await new RefreshToken({
+        user: user_id,
+        token_hash: hashToken(refresh_token),
+        family,
+        expiresAt: new Date(Date.now() + refreshTokenExpiryDays * 24 * 60 * 60 * 1000)
+    }).save();
+
+    return refresh_token;
 }
 
 // these are the only object data to get/return on the frontend on a request
-const formatDatatoSend = (user) => {
+const formatDatatoSend = async (user, family) => {
 
-    const access_token = jwt.sign({ id: user._id }, process.env.SECRET_ACCESS_TOKEN);
+    const access_token = jwt.sign({ id: user._id }, process.env.SECRET_ACCESS_TOKEN, { expiresIn: accessTokenExpiry });
+    const refresh_token = await issueRefreshToken(user._id, family);
 
     return {
         access_token,
+        refresh_token,
         profile_img: user.personal_info.profile_img,
         username: user.personal_info.username,
         fullname: user.personal_info.fullname
@@ -106,34 +310,279 @@ const generateUsername = async (email) => {
     return username;
 }
 
+// where the frontend lives, used for links in feeds and emails
+const clientURL = () => (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "");
+
+// escape user input before putting it in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// blogs anyone can see - published and not hidden by a moderator
+const visibleBlogsQuery = () => ({ draft: false, hidden: { $ne: true } });
+
+// the bytes of storage a user's uploads take up
+const uploadedBytes = (user_id) => {
+    return Upload.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(user_id) } },
+        { $group: { _id: null, total: { $sum: "$size" } } }
+    ])
+    .then(([result]) => result ? result.total : 0);
+}
+
 // upload URL route 
-app.get("/get-upload-url", (req, res) => {
-    generateUploadURL().then(url => res.status(200).json({ uploadURL: url }))
-    .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({ error: err.message })
+// content_type - image/jpeg (default), image/png, image/webp or image/gif, size - the file's size in bytes
+app.get("/get-upload-url", rateLimits.writeIp, verifyJWT, rateLimits.writeAccount, validate({
+    content_type: { type: "string", enum: Object.keys(imageTypes), default: "image/jpeg", code: "UNSUPPORTED_MEDIA_TYPE" },
+    size: { type: "integer", min: 1, max: maxUploadBytes, message: `Images can't be bigger than ${maxUploadBytes / 1024 / 1024}MB`, code: "FILE_TOO_LARGE" }
+}, "query"), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { content_type } = req.query;
+
+    // without a size the most an image can be is reserved
+    let size = req.query.size || maxUploadBytes;
+
+    uploadedBytes(user_id)
+    .then(async used => {
+        if(used + size > uploadQuotaBytes) {
+            return res.status(403).json({ error: `You've used up your ${uploadQuotaBytes / 1024 / 1024}MB of uploads, delete some images you don't use first`, code: "UPLOAD_QUOTA_EXCEEDED" });
+        }
+
+        let storage = getStorage();
+        let key = newUploadKey(content_type);
+
+        let { uploadURL, url } = await storage.createUpload({ key, contentType: content_type, expiresIn: uploadURLExpirySeconds });
+
+        await new Upload({ key, url, owner: user_id, driver: storage.name, content_type, size }).save();
+
+        return res.status(200).json({ uploadURL, url, method: "PUT", headers: { "Content-Type": content_type }, max_size: size });
     })
+    .catch(next)
 });
 
-app.post("/signup", (req, res) => {
-    let { fullname, email, password } = req.body;
+// the local driver's upload urls point here
+app.put("/uploads/:key", express.raw({ type: () => true, limit: maxUploadBytes }), (req, res, next) => {
+
+    let storage = getStorage();
+
+    let { key } = req.params;
 
-    // validate form data from the frontend
-    if(fullname.length < 3) {
-        return res.status(403).json({ "error": "Full name must be at least 3 letters long" });
+    let contentType = (req.get("content-type") || "").split(";")[0].trim().toLowerCase();
+
+    if(!storage.verifyUpload || !storage.verifyUpload({ key, contentType, expires: req.query.expires, signature: req.query.signature })) {
+        return res.status(403).json({ error: "This upload link is invalid or has expired", code: "INVALID_UPLOAD_URL" });
     }
-    if(!email.length) {
-        return res.status(403).json({ "error": "Enter an email" });
+
+    let file = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    // the content type is only what the client claims, the bytes have to agree
+    if(detectImageType(file) != contentType) {
+        return res.status(415).json({ error: `The file is not a ${imageTypes[contentType] || "supported"} image`, code: "UNSUPPORTED_MEDIA_TYPE" });
     }
-    if(!emailRegex.test(email)) {
-        return res.status(403).json({ "error": "Email format is invalid" });
+
+    Upload.findOne({ key, driver: storage.name })
+    .then(async upload => {
+        if(!upload) {
+            return res.status(404).json({ error: "Upload not found" });
+        }
+
+        if(file.length > upload.size) {
+            return res.status(413).json({ error: "The file is bigger than the size it was uploaded for", code: "FILE_TOO_LARGE" });
+        }
+
+        await storage.save(key, file);
+
+        upload.size = file.length;
+        upload.verified = true;
+        await upload.save();
+
+        return res.status(200).json({ url: upload.url });
+    })
+    .catch(next)
+});
+
+// locally stored images are served from the same path
+if(getStorage().dir) {
+    app.use("/uploads", express.static(getStorage().dir, {
+        maxAge: "30d",
+        immutable: true,
+        setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff")
+    }));
+}
+
+// the upload urls among 'urls' that a blog banner or image block (or one of their revisions) or a profile picture uses
+const usedUploadUrls = async (urls) => {
+
+    let blogQuery = { $or: [{ banner: { $in: urls } }, { "content.blocks.data.file.url": { $in: urls } }] };
+
+    let [blogs, revisions, users] = await Promise.all([
+        Blog.find(blogQuery).select("banner content"),
+        BlogRevision.find(blogQuery).select("banner content"),
+        User.find({ "personal_info.profile_img": { $in: urls } }).select("personal_info.profile_img")
+    ]);
+
+    let used = new Set();
+
+    [...blogs, ...revisions].forEach(doc => {
+        used.add(doc.banner);
+        getBlocks(doc.content).forEach(block => {
+            if(block.type == "image" && block.data && block.data.file) {
+                used.add(block.data.file.url);
+            }
+        });
+    });
+
+    users.forEach(user => used.add(user.personal_info.profile_img));
+
+    return used;
+}
+
+let isCleaningUploads = false;
+
+// the stored file of 'upload' when it really is the image it was uploaded as, null otherwise
+const checkUploadedFile = async (storage, upload) => {
+
+    let file = await storage.stat(upload.key);
+
+    // an empty file can't be read from (S3 refuses the range), it isn't an image anyway
+    let isImage = file && file.size > 0 && detectImageType(await storage.readStart(upload.key, 12)) == upload.content_type;
+
+    return isImage && file.size <= maxUploadBytes && file.contentType == upload.content_type ? file : null;
+}
+
+// check the files whose upload links have expired and delete the ones nothing uses
+const cleanupUploads = async () => {
+
+    if(isCleaningUploads) {
+        return;
     }
-    if(!passwordRegex.test(password)) {
-        return res.status(403).json({ "error": "Password should be 6 to 20 characters long with a number, 1 lowercase and 1 uppercase letters" });
+
+    isCleaningUploads = true;
+
+    try {
+        let storage = getStorage();
+
+        // S3 uploads go straight to the bucket, so their size and type (by their first bytes, like local ones) are only checked here.
+        // records of files that never got uploaded are dropped as well, they count towards the quota
+        let unverified = await Upload.find({ driver: storage.name, verified: false, uploadedAt: { $lt: new Date(Date.now() - uploadURLExpirySeconds * 1000) } });
+
+        for(let upload of unverified) {
+
+            // one bad upload shouldn't stop the others from being checked
+            try {
+                let file = await checkUploadedFile(storage, upload);
+
+                if(!file) {
+                    await storage.remove(upload.key);
+                    await Upload.deleteOne({ _id: upload._id });
+                    continue;
+                }
+
+                await Upload.updateOne({ _id: upload._id }, { size: file.size, verified: true });
+            } catch(err) {
+                console.log(`Upload ${upload.key} couldn't be checked: ${err.message}`);
+            }
+        }
+
+        let cutoff = new Date(Date.now() - orphanUploadHours * 60 * 60 * 1000);
+        let lastId = null;
+
+        while(true) {
+
+            let uploads = await Upload.find({ driver: storage.name, verified: true, uploadedAt: { $lt: cutoff }, ...(lastId ? { _id: { $gt: lastId } } : {}) })
+            .sort({ _id: 1 })
+            .limit(100);
+
+            if(!uploads.length) {
+                break;
+            }
+
+            lastId = uploads[uploads.length - 1]._id;
+
+            let used = await usedUploadUrls(uploads.map(upload => upload.url));
+
+            for(let upload of uploads.filter(upload => !used.has(upload.url))) {
+                await storage.remove(upload.key);
+                await Upload.deleteOne({ _id: upload._id });
+                console.log(`Orphaned upload ${upload.key} deleted`);
+            }
+        }
+    } catch(err) {
+        console.log(err.message);
     }
 
+    isCleaningUploads = false;
+}
+
+mongoose.connection.once("open", () => {
+    setInterval(cleanupUploads, uploadCleanupIntervalMinutes * 60 * 1000);
+});
+
+// the signed in user's uploads, newest first, with how much of the quota they use
+app.post("/uploads", verifyJWT, validate({ page: pageField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page } = req.body;
+
+    let maxLimit = 20;
+
+    Upload.find({ owner: user_id })
+    .sort({ uploadedAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("url content_type size verified uploadedAt -_id")
+    .then(async uploads => {
+        return res.status(200).json({ uploads, used_bytes: await uploadedBytes(user_id), quota_bytes: uploadQuotaBytes });
+    })
+    .catch(next)
+
+})
+
+// free up quota, images a blog, revision or profile still uses can't be deleted
+app.post("/delete-upload", rateLimits.writeIp, verifyJWT, rateLimits.writeAccount, validate({
+    url: { type: "string", required: true, trim: true }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { url } = req.body;
+
+    Upload.findOne({ url, owner: user_id })
+    .then(async upload => {
+        if(!upload) {
+            return res.status(404).json({ error: "Upload not found" });
+        }
+
+        if((await usedUploadUrls([url])).has(url)) {
+            return res.status(409).json({ error: "This image is still used, remove it from your blogs and profile first", code: "UPLOAD_IN_USE" });
+        }
+
+        let storage = getStorage();
+
+        // an upload from before a driver change is left where it is
+        if(upload.driver == storage.name) {
+            await storage.remove(upload.key);
+        }
+
+        await Upload.deleteOne({ _id: upload._id });
+
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+app.post("/signup", rateLimits.signupIp, validate({
+    fullname: { type: "string", required: true, trim: true, minLength: 3, message: "Full name must be at least 3 letters long" },
+    email: emailField,
+    password: passwordField
+}), (req, res, next) => {
+    let { fullname, email, password } = req.body;
+
     // hash the password
-    bcrypt.hash(password, 10, async (err, hashed_password) => {
+    bcrypt.hash(password, 10)
+    .then(async hashed_password => {
 
         // use the first part of the email as a username
         let username = await generateUsername(email);  // 'await' - so JS waits for its response 
@@ -144,78 +593,96 @@ app.post("/signup", (req, res) => {
         }); 
 
         // save to DB
-        user.save().then((u) => {
-            return res.status(200).json(formatDatatoSend(u));
-        }).catch(err => {
-            if(err.code == 11000) {
-                return res.status(500).json({ "error": "Email already exists" });
-            }
-            return res.status(500).json({ "error": err.message });
-        })
-
-        console.log(hashed_password);
-    });
+        let u = await user.save();
 
-    // return res.status(200).json({ "status": "OK" })
+        return res.status(200).json(await formatDatatoSend(u));
+    })
+    .catch(err => {
+        if(err.code == 11000 && err.keyPattern && err.keyPattern["personal_info.email"]) {
+            return res.status(409).json({ error: "Email already exists", code: "EMAIL_TAKEN" });
+        }
+        next(err);
+    })
 });
 
-app.post("/signin", (req, res) => {
+app.post("/signin", rateLimits.signinIp, rateLimits.signinAccount, validate({
+    email: emailField,
+    password: { type: "string", required: true, message: "Enter your password" }
+}), (req, res, next) => {
     
     let { email, password } = req.body;
 
-    User.findOne({ "personal_info.email": email })
-    .then((user) => {
-        if(!user) {
-            return res.status(403).json({ "error": "Email not found" });
+    let guardKey = signinGuardKey(req);
+
+    // locked accounts are refused before the password is even checked
+    signinGuard.lockedFor(guardKey)
+    .then(lockedMs => {
+        if(lockedMs) {
+            return sendTooManyRequests(res, lockedMs, "Too many failed sign in attempts, please try again later");
         }
 
-        // if user is logged in with Google, 
-        if(!user.google_auth) {
-            // check if the password from sign-up is the same during sign-in
-            bcrypt.compare(password, user.personal_info.password, (err, result) => {
-                if(err) {
-                    return res.status(403).json({ "error": "An error occurred during login, please try again" });
-                }
+        return User.findOne({ "personal_info.email": email })
+        .then((user) => {
+            if(!user) {
+                return signinGuard.fail(guardKey)
+                .then(() => res.status(401).json({ "error": "Email not found", code: "EMAIL_NOT_FOUND" }));
+            }
 
-                if(!result) {
-                    return res.status(403).json({ "error": "Incorrect password" });
-                } else {
-                    return res.status(200).json(formatDatatoSend(user));
-                }
-            })
-        } else {
-            return res.status(403).json({ "error": "Account was created with Google. So, try logging in with your Google acount" })
-        }
+            if(user.suspended) {
+                return res.status(403).json({ "error": "Your account has been suspended", code: "ACCOUNT_SUSPENDED" });
+            }
 
-        
-    }).catch(err => {
-        console.log(err.message);
-        return res.status(500).json({ "error": err.message });
-    })
+            // if user is logged in with Google, 
+            if(!user.google_auth) {
+                // check if the password from sign-up is the same during sign-in
+                bcrypt.compare(password, user.personal_info.password, (err, result) => {
+                    if(err) {
+                        return next(err);
+                    }
+
+                    if(!result) {
+                        signinGuard.fail(guardKey)
+                        .then(() => res.status(401).json({ "error": "Incorrect password", code: "INCORRECT_PASSWORD" }))
+                        .catch(next);
+                    } else {
+                        signinGuard.succeed(guardKey)
+                        .then(() => formatDatatoSend(user))
+                        .then(data => res.status(200).json(data))
+                        .catch(next);
+                    }
+                })
+            } else {
+                return res.status(403).json({ "error": "Account was created with Google. So, try logging in with your Google acount", code: "GOOGLE_ACCOUNT" })
+            }
+        })
+    }).catch(next)
 });
 
 // Google Auth
-app.post("/google-auth", async (req, res) => {
+app.post("/google-auth", rateLimits.googleAuthIp, validate({
+    access_token: { type: "string", required: true, code: "INVALID_GOOGLE_TOKEN" }
+}), (req, res, next) => {
     let { access_token } = req.body;
 
     getAuth()
     .verifyIdToken(access_token)
+    .catch(() => {
+        throw new ApiError(401, "INVALID_GOOGLE_TOKEN", "Failed to authenticate you with Google. Try another google account");
+    })
     .then(async (decodedUser) => {
         
         let { email, name, picture } = decodedUser;
-        picture = picture.replace("s96-c", "s384-c");
+        picture = picture && picture.replace("s96-c", "s384-c");
 
-        let user = await User.findOne({ "personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth").then((u) => {
-            return u || null
-        })
-        .catch(err => {
-            return res.status(500).json({ "error": err.message })
-        })
+        let user = await User.findOne({ "personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth suspended");
 
         // login
         if(user) {
             if(!user.google_auth) {
-                return res.status(403).json({ "error": "This email signed up without Google. Please log in with password to access the account" })
+                return res.status(403).json({ "error": "This email signed up without Google. Please log in with password to access the account", code: "PASSWORD_ACCOUNT" })
+            }
+            if(user.suspended) {
+                return res.status(403).json({ "error": "Your account has been suspended", code: "ACCOUNT_SUSPENDED" })
             }
         } // sign up
         else {
@@ -226,472 +693,3461 @@ app.post("/google-auth", async (req, res) => {
                 google_auth: true
             })
 
-            await user.save().then((u) => {
-                user = u;
-            })
-            .catch(err => {
-                return res.status(500).json({ "error": err.message })
-            })
+            user = await user.save();
         }
 
-        return res.status(200).json(formatDatatoSend(user))
-    })
-    .catch(err => {
-        return res.status(500).json({ "error": "Failed to authenticate you with Google. Try another google account" })
+        return res.status(200).json(await formatDatatoSend(user))
     })
+    .catch(next)
 })
 
-app.post("/latest-blogs", (req, res) => {
 
-    let { page } = req.body;
+// exchange a refresh token for a new access token,
+// the refresh token is rotated so each one can only be used once
+app.post("/refresh-token", (req, res, next) => {
 
-    let maxLimit = 5;
+    let { refresh_token } = req.body;
 
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
-    .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page - 1) * maxLimit)
-    .limit(maxLimit)
-    .then(blogs => {
-        return res.status(200).json({ blogs });
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
-    })
+    if(!refresh_token || typeof refresh_token != "string") {
+        return res.status(401).json({ error: "No refresh token", code: "MISSING_TOKEN" });
+    }
 
-})
+    RefreshToken.findOne({ token_hash: hashToken(refresh_token) })
+    .then(async token => {
 
-app.post("/all-latest-blogs-count", (req, res) => {
+        if(!token || token.expiresAt < new Date()) {
+            return res.status(401).json({ error: "Invalid refresh token", code: "INVALID_TOKEN" });
+        }
 
-    Blog.countDocuments({ draft: false })
-    .then(count => {
-        return res.status(200).json({ totalDocs: count });
-    })
-    .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({ error: err.message })
-    })
-})
+        // a revoked token being used again means it leaked, so end that whole sign-in
+        if(token.revoked) {
+            await RefreshToken.updateMany({ family: token.family }, { revoked: true });
+            return res.status(401).json({ error: "Invalid refresh token", code: "INVALID_TOKEN" });
+        }
 
-app.get("/trending-blogs", (req, res) => {
+        let user = await User.findById(token.user).select("personal_info.fullname personal_info.username personal_info.profile_img suspended");
 
-    let maxLimit = 5;
+        if(!user || user.suspended) {
+            return res.status(401).json({ error: "Invalid refresh token", code: "INVALID_TOKEN" });
+        }
 
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
-    .sort({ "activity.total_reads": -1, "activity.total_likes": -1, "publishedAt": -1 }) // descending order
-    .select("blog_id title publishedAt -_id")
-    .limit(maxLimit)
-    .then(blogs => {
-        return res.status(200).json({ blogs });
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
-    })
-})
+        // claim the token in one step, of two refreshes racing with it only one gets through
+        let claimed = await RefreshToken.findOneAndUpdate({ _id: token._id, revoked: false }, { revoked: true });
 
-// create blog route
-// only authenticated users can create blog -> by checking the access token already exists
-app.post("/create-blog", verifyJWT, (req, res) => {
-    
-    let authorId = req.user;
+        if(!claimed) {
+            await RefreshToken.updateMany({ family: token.family }, { revoked: true });
+            return res.status(401).json({ error: "Invalid refresh token", code: "INVALID_TOKEN" });
+        }
 
-    let { banner, title, content, des, tags, draft, id } = req.body;
+        let data = await formatDatatoSend(user, token.family);
 
-    if(!title.length) {
-        return res.status(403).json({ error: "You must provide a title" });
-    }
+        await RefreshToken.updateOne({ _id: token._id }, { replaced_by: hashToken(data.refresh_token) });
 
-    if(!draft) {
+        return res.status(200).json(data);
+    })
+    .catch(next)
 
-        if(!des.length || des.length > 200) {
-            return res.status(403).json({ error: "A blog description of 200 characters max is needed before publsihing" });
-        }
-    
-        if(!banner.length) {
-            return res.status(403).json({ error: "You need a banner before publsihing" });
-        }
-    
-        if(!content.blocks.length) {
-            return res.status(403).json({ error: "There must be some content before publishing" });
-        }
-    
-        if(!tags.length || tags.length > 10) {
-            return res.status(403).json({ error: "Some tags are needed before publishing - 10 tags max" });
-        }
-    }
+})
 
-    // convert tags to lowercase
-    tags = tags.map(tag => tag.toLowerCase());
+// no access token needed here so an expired session can still sign out
+app.post("/logout", (req, res, next) => {
 
-    // create a blogId for the blogs so we don't use the ones from the DB 
-    let blog_id = id || title.replace(/[^a-zA-Z0-9]/g, " ").replace(/\s+/g, "-").trim() + nanoid();
+    let { refresh_token } = req.body;
 
-    if(id) {
+    if(!refresh_token || typeof refresh_token != "string") {
+        return res.status(401).json({ error: "No refresh token", code: "MISSING_TOKEN" });
+    }
+
+    RefreshToken.findOne({ token_hash: hashToken(refresh_token) })
+    .then(token => {
+        if(!token) {
+            return res.status(200).json({ status: 'done' });
+        }
 
-        Blog.findOneAndUpdate({ blog_id }, { title, des, banner, content, tags, draft: draft ? draft : false })
+        return RefreshToken.updateMany({ family: token.family }, { revoked: true })
         .then(() => {
+            return res.status(200).json({ status: 'done' });
+        })
+    })
+    .catch(next)
+
+})
+
+// log out all devices
+app.post("/logout-all", verifyJWT, (req, res, next) => {
+
+    let user_id = req.user;
+
+    RefreshToken.updateMany({ user: user_id, revoked: false }, { revoked: true })
+    .then(result => {
+        return res.status(200).json({ status: 'done', revoked: result.modifiedCount });
+    })
+    .catch(next)
+
+})
+
+app.post("/change-password", verifyJWT, validate({
+    currentPassword: { type: "string", required: true, message: "Fill in your current and new password" },
+    newPassword: passwordField
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { currentPassword, newPassword } = req.body;
+
+    User.findOne({ _id: user_id })
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found", code: "USER_NOT_FOUND" });
+        }
+
+        if(user.google_auth) {
+            return res.status(403).json({ error: "Account was created with Google. So, you can't change its password here", code: "GOOGLE_ACCOUNT" });
+        }
+
+        bcrypt.compare(currentPassword, user.personal_info.password, (err, result) => {
+            if(err) {
+                return next(err);
+            }
+
+            if(!result) {
+                return res.status(403).json({ error: "Incorrect current password", code: "INCORRECT_PASSWORD" });
+            }
+
+            bcrypt.hash(newPassword, 10, (err, hashed_password) => {
+                if(err) {
+                    return next(err);
+                }
+
+                User.findOneAndUpdate({ _id: user_id }, { "personal_info.password": hashed_password })
+                .then(async () => {
+                    // sign out every other session, this one gets new tokens
+                    await RefreshToken.updateMany({ user: user_id, revoked: false }, { revoked: true });
+
+                    return res.status(200).json({ status: 'password changed', ...await formatDatatoSend(user) });
+                })
+                .catch(next)
+            })
+        })
+    })
+    .catch(next)
+
+})
+
+// send a single-use reset link to the user's email.
+// the answer is the same whether or not the email has an account, so it can't be used to find out
+app.post("/forgot-password", rateLimits.passwordResetIp, rateLimits.passwordResetAccount, validate({ email: emailField }), (req, res, next) => {
+
+    let { email } = req.body;
+
+    User.findOne({ "personal_info.email": email })
+    .select("personal_info.email personal_info.fullname google_auth")
+    .then(async user => {
+        if(!user) {
+            return res.status(200).json({ status: 'reset link sent' });
+        }
+
+        if(user.google_auth) {
+            await sendMail({
+                to: user.personal_info.email,
+                subject: "Reset your password",
+                text: `Hi ${user.personal_info.fullname},\n\nYour account was created with Google, so it doesn't have a password to reset. Sign in with Google instead.\n\nIf you didn't ask for this, you can ignore this email.`
+            });
+
+            return res.status(200).json({ status: 'reset link sent' });
+        }
+
+        // only the latest requested link should work
+        await PasswordReset.deleteMany({ user: user._id });
+
+        let reset_token = crypto.randomBytes(32).toString("hex");
+
+        await new PasswordReset({
+            user: user._id,
+            token_hash: hashToken(reset_token),
+            expiresAt: new Date(Date.now() + passwordResetExpiryMinutes * 60 * 1000)
+        }).save();
+
+        let resetLink = `${clientURL()}/reset-password/${reset_token}`;
+
+        await sendMail({
+            to: user.personal_info.email,
+            subject: "Reset your password",
+            text: `Hi ${user.personal_info.fullname},\n\nUse the link below to set a new password. It expires in ${passwordResetExpiryMinutes} minutes and can only be used once.\n\n${resetLink}\n\nIf you didn't ask for this, you can ignore this email.`
+        });
+
+        return res.status(200).json({ status: 'reset link sent' });
+    })
+    .catch(next)
+
+})
+
+app.post("/reset-password", rateLimits.passwordResetIp, validate({
+    token: { type: "string", required: true, message: "Reset token is missing" },
+    password: passwordField
+}), (req, res, next) => {
+
+    let { token, password } = req.body;
+
+    // claim the token in one step so it can't be used twice
+    PasswordReset.findOneAndUpdate({ token_hash: hashToken(token), used: false, expiresAt: { $gt: new Date() } }, { used: true })
+    .then(async reset => {
+        if(!reset) {
+            return res.status(400).json({ error: "Reset link is invalid or has expired", code: "INVALID_RESET_TOKEN" });
+        }
+
+        let hashed_password = await bcrypt.hash(password, 10);
+
+        await User.findOneAndUpdate({ _id: reset.user }, { "personal_info.password": hashed_password });
+
+        // sign out every device that used the old password
+        await RefreshToken.updateMany({ user: reset.user, revoked: false }, { revoked: true });
+
+        return res.status(200).json({ status: 'password reset' });
+    })
+    .catch(next)
+
+})
+
+// cursor - the next_cursor of the page before, takes over from the page number
+app.post("/latest-blogs", validate({ page: pageField, cursor: cursorField }), cacheResponse({
+    name: "latest-blogs",
+    key: (req) => JSON.stringify([req.body.page, req.body.cursor || null]),
+    tags: () => ["blogs"]
+}), (req, res, next) => {
+
+    let { page, cursor } = req.body;
+
+    let maxLimit = 5;
+
+    Blog.find({ ...visibleBlogsQuery(), ...afterCursor(cursor, "publishedAt") })
+    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+    .sort({ "publishedAt": -1, _id: -1 })
+    .select("blog_id title des banner activity tags publishedAt")
+    .skip(cursor ? 0 : (page - 1) * maxLimit)
+    .limit(maxLimit + 1)
+    .lean()
+    .then(blogs => {
+        let { items, has_more, next_cursor } = toPage(blogs, maxLimit, keysetCursor("publishedAt"));
+        return res.status(200).json({ blogs: items.map(({ _id, ...blog }) => blog), next_cursor, has_more });
+    })
+    .catch(next)
+
+})
+
+app.post("/all-latest-blogs-count", (req, res, next) => {
+
+    Blog.countDocuments(visibleBlogsQuery())
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
+})
+
+// how far back each trending window looks and how fast activity fades in it,
+// stats are kept per day so the day window takes yesterday in too
+let trendingWindows = {
+    day: { days: 2, halfLifeDays: 0.5 },
+    week: { days: 7, halfLifeDays: 2 },
+    month: { days: 30, halfLifeDays: 7 }
+};
+
+// how much a read, like and comment count towards a blog trending
+let trendingWeights = { reads: 1, likes: 3, comments: 5 };
+
+let trendingIntervalMinutes = Number(process.env.TRENDING_INTERVAL_MINUTES) || 10;
+let isUpdatingTrending = false;
+
+// recompute and store the trending scores of the blogs that had activity in the longest window
+const updateTrendingScores = async () => {
+
+    if(isUpdatingTrending) {
+        return;
+    }
+
+    isUpdatingTrending = true;
+
+    try {
+        let now = Date.now();
+        let dayMs = 24 * 60 * 60 * 1000;
+        let longest = Math.max(...Object.values(trendingWindows).map(({ days }) => days));
+
+        let stats = await BlogStat.find({ day: { $gte: new Date(utcDay().getTime() - (longest - 1) * dayMs) } })
+        .select("blog day reads likes comments")
+        .lean();
+
+        let scores = new Map();
+
+        stats.forEach(stat => {
+
+            let activity = Object.keys(trendingWeights).reduce((total, key) => total + (stat[key] || 0) * trendingWeights[key], 0);
+
+            // the activity of a day is taken to have happened in the middle of it
+            let ageDays = Math.max(now - stat.day.getTime() - dayMs / 2, 0) / dayMs;
+            let daysBack = Math.round((utcDay().getTime() - stat.day.getTime()) / dayMs);
+
+            let id = stat.blog.toString();
+            let score = scores.get(id) || { day: 0, week: 0, month: 0 };
+
+            Object.keys(trendingWindows).forEach(window => {
+                let { days, halfLifeDays } = trendingWindows[window];
+                if(daysBack < days) {
+                    score[window] += activity * Math.pow(0.5, ageDays / halfLifeDays);
+                }
+            });
+
+            scores.set(id, score);
+        });
+
+        let ids = [...scores.keys()];
+
+        if(ids.length) {
+            await Blog.bulkWrite(ids.map(id => ({
+                updateOne: { filter: { _id: id }, update: { $set: { trending: scores.get(id) } } }
+            })));
+        }
+
+        // blogs without activity in any window anymore drop out
+        await Blog.updateMany(
+            { _id: { $nin: ids }, $or: Object.keys(trendingWindows).map(window => ({ [`trending.${window}`]: { $gt: 0 } })) },
+            { $set: { trending: { day: 0, week: 0, month: 0 } } }
+        );
+
+        invalidateCache("trending");
+    } catch(err) {
+        console.log(err.message);
+    }
+
+    isUpdatingTrending = false;
+}
+
+mongoose.connection.once("open", () => {
+    updateTrendingScores();
+    setInterval(updateTrendingScores, trendingIntervalMinutes * 60 * 1000);
+});
+
+// window - day, week (default) or month, tag - only blogs with this tag
+app.get("/trending-blogs", validate({
+    window: { type: "string", enum: Object.keys(trendingWindows), default: "week", message: `Window must be one of ${Object.keys(trendingWindows).join(", ")}` },
+    tag: { type: "string", trim: true, lowercase: true }
+}, "query"), cacheResponse({
+    name: "trending-blogs",
+    key: (req) => JSON.stringify([req.query.window, req.query.tag || null]),
+    tags: () => ["blogs", "trending"]
+}), (req, res, next) => {
+
+    let { window, tag } = req.query;
+
+    let maxLimit = 5;
+
+    (tag ? resolveTagAlias(tag) : Promise.resolve(null))
+    .then(tag => {
+        return Blog.find({ ...visibleBlogsQuery(), ...(tag ? { tags: tag } : {}) })
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ [`trending.${window}`]: -1, "publishedAt": -1 }) // descending order
+        .select("blog_id title publishedAt -_id")
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+})
+
+let maxBlogRevisions = Number(process.env.MAX_BLOG_REVISIONS) || 50;
+
+let revisionFields = ["title", "des", "banner", "content", "tags", "draft"];
+
+// record the current state of a blog as its next revision, only when something changed
+const saveBlogRevision = async (blog, editor, { restored_from } = {}) => {
+
+    let last = await BlogRevision.findOne({ blog: blog._id }).sort({ revision: -1 });
+
+    let changed = revisionFields.filter(field => !last || JSON.stringify(last[field]) != JSON.stringify(blog[field]));
+
+    if(last && !changed.length && restored_from == undefined) {
+        return last;
+    }
+
+    let revision = await new BlogRevision({
+        blog: blog._id,
+        revision: last ? last.revision + 1 : 1,
+        editor,
+        changed,
+        restored_from,
+        title: blog.title,
+        des: blog.des,
+        banner: blog.banner,
+        content: blog.content,
+        tags: blog.tags,
+        draft: blog.draft
+    }).save();
+
+    // only keep the latest revisions
+    await BlogRevision.deleteMany({ blog: blog._id, revision: { $lte: revision.revision - maxBlogRevisions } });
+
+    return revision;
+}
+
+// blogs written before revisions existed get their current state saved as the first one
+const ensureFirstRevision = async (blog) => {
+    if(!await BlogRevision.exists({ blog: blog._id })) {
+        await new BlogRevision({
+            blog: blog._id, revision: 1, editor: blog.author, changed: revisionFields,
+            title: blog.title, des: blog.des, banner: blog.banner, content: blog.content, tags: blog.tags, draft: blog.draft,
+            savedAt: blog.updatedAt || blog.publishedAt
+        }).save();
+    }
+}
+
+// the checks a blog has to pass before it goes live, returns the error message if any
+const publishValidationError = ({ des, banner, content, tags }) => {
+
+    if(!des || !des.length || des.length > 200) {
+        return "A blog description of 200 characters max is needed before publsihing";
+    }
+
+    if(!banner || !banner.length) {
+        return "You need a banner before publsihing";
+    }
+
+    if(!getBlocks(content).length) {
+        return "There must be some content before publishing";
+    }
+
+    if(!tags || !tags.length || tags.length > 10) {
+        return "Some tags are needed before publishing - 10 tags max";
+    }
+}
+
+let maxScheduleDays = 365;
+
+const scheduleError = (date) => {
+
+    if(isNaN(date.getTime())) {
+        return "Invalid publish time";
+    }
+
+    if(date <= new Date()) {
+        return "The publish time must be in the future";
+    }
+
+    if(date - Date.now() > maxScheduleDays * 24 * 60 * 60 * 1000) {
+        return `Blogs can be scheduled up to ${maxScheduleDays} days ahead`;
+    }
+}
+
+// a draft just went live - 'publishedAt' becomes now instead of when the draft was created
+// and the post counts for its author
+const markPublished = async (blog) => {
+
+    // mongoose treats the 'publishedAt' timestamp as immutable, so this goes through the driver
+    await Blog.collection.updateOne({ _id: blog._id }, { $set: { publishedAt: new Date() } });
+
+    await User.updateOne({ _id: blog.author }, { $inc: { "account_info.total_posts": 1 } });
+}
+
+let schedulerIntervalSeconds = Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 30;
+let isPublishingDueBlogs = false;
+
+// publish every scheduled draft whose time has come
+const publishDueBlogs = async () => {
+
+    if(isPublishingDueBlogs) {
+        return;
+    }
+
+    isPublishingDueBlogs = true;
+
+    try {
+        let due = await Blog.find({ draft: true, scheduledAt: { $lte: new Date() } }).select("blog_id des banner content tags updatedAt");
+
+        for(let draft of due) {
+
+            // an incomplete draft stays a draft until its author fixes it
+            let error = publishValidationError(draft);
+
+            if(error) {
+                console.log(`Scheduled blog ${draft.blog_id} not published: ${error}`);
+                continue;
+            }
+
+            // claim it, the author may have cancelled, published or edited it in the meantime
+            let blog = await Blog.findOneAndUpdate({ _id: draft._id, draft: true, scheduledAt: { $lte: new Date() }, updatedAt: draft.updatedAt }, { draft: false, $unset: { scheduledAt: 1 } }, { new: true });
+
+            if(blog) {
+                await markPublished(blog);
+                invalidateCache("blogs", `blog:${blog._id}`, `user:${blog.author}`);
+                await saveBlogRevision(blog, blog.author);
+                console.log(`Scheduled blog ${blog.blog_id} published`);
+            }
+        }
+    } catch(err) {
+        console.log(err.message);
+    }
+
+    isPublishingDueBlogs = false;
+}
+
+// posts that were due while the server was down are published on boot
+mongoose.connection.once("open", () => {
+    publishDueBlogs();
+    setInterval(publishDueBlogs, schedulerIntervalSeconds * 1000);
+});
+
+// create blog route
+// only authenticated users can create blog -> by checking the access token already exists
+app.post("/create-blog", rateLimits.writeIp, verifyJWT, rateLimits.writeAccount, loadUserRole, validate({
+    id: { type: "string", trim: true },
+    title: { type: "string", trim: true, default: "" },
+    des: { type: "string", trim: true, default: "" },
+    banner: { type: "string", trim: true, default: "" },
+    content: { type: "any" },
+    tags: { type: "array", items: { type: "string", trim: true, lowercase: true }, default: () => [] },
+    draft: { type: "boolean", default: false },
+    markdown: { type: "string" }
+}), (req, res, next) => {
+    
+    let authorId = req.user;
+
+    // scheduledAt - publish time for a draft, null cancels the one it has
+    let { banner, title, content, des, tags, draft, id, markdown, scheduledAt } = req.body;
+
+    // a markdown document (with optional front matter) is turned into editor blocks,
+    // fields sent along with it take precedence over the front matter
+    if(markdown) {
+        let imported = markdownToBlog(markdown);
+
+        title = title || imported.title;
+        des = des || imported.des;
+        banner = banner || imported.banner;
+        tags = (tags && tags.length) ? tags : imported.tags;
+        content = imported.content;
+    }
+
+    // editing an existing blog is checked against its author below
+    if(!id && !authorize(req, "blog:create")) {
+        return res.status(403).json({ error: "Your account is not allowed to write blogs", code: "PERMISSION_DENIED" });
+    }
+
+    if(!title || !title.length) {
+        return res.status(400).json({ error: "You must provide a title", code: "VALIDATION_ERROR", field: "title" });
+    }
+
+    let schedule = (draft && scheduledAt) ? new Date(scheduledAt) : null;
+
+    if(schedule && scheduleError(schedule)) {
+        return res.status(400).json({ error: scheduleError(schedule), code: "INVALID_SCHEDULE", field: "scheduledAt" });
+    }
+
+    // a scheduled draft has to be ready to go live as well
+    if(!draft || schedule) {
+
+        let error = publishValidationError({ des, banner, content, tags });
+
+        if(error) {
+            return res.status(400).json({ error, code: "BLOG_NOT_READY" });
+        }
+    }
+
+    // convert tags to lowercase
+    tags = tags.map(tag => tag.toLowerCase());
+
+    // create a blogId for the blogs so we don't use the ones from the DB 
+    let blog_id = id || title.replace(/[^a-zA-Z0-9]/g, " ").replace(/\s+/g, "-").trim() + nanoid();
+
+    if(id) {
+
+        Blog.findOne({ blog_id })
+        .then(async previous => {
+            if(!previous) {
+                return res.status(404).json({ error: "Blog not found" });
+            }
+
+            if(!authorize(req, "blog:edit", [previous.author])) {
+                return res.status(403).json({ error: "You can't edit this blog" });
+            }
+
+            // a draft keeping its schedule will go live as it is saved now
+            if(draft && scheduledAt !== null && !schedule && previous.scheduledAt) {
+
+                let error = publishValidationError({ des, banner, content, tags });
+
+                if(error) {
+                    return res.status(400).json({ error, code: "BLOG_NOT_READY" });
+                }
+            }
+
+            await ensureFirstRevision(previous);
+
+            tags = await resolveTagAliases(tags);
+
+            let update = { title, des, banner, content, content_text: contentToText(content), tags, draft: draft ? draft : false };
+
+            // publishing now or an explicit null drops the schedule, otherwise it's kept as it is
+            if(!draft || scheduledAt === null) {
+                update.$unset = { scheduledAt: 1 };
+            } else if(schedule) {
+                update.scheduledAt = schedule;
+            }
+
+            let blog = await Blog.findOneAndUpdate({ blog_id }, update, { new: true });
+
+            if(previous.draft && !blog.draft) {
+                await markPublished(blog);
+            }
+
+            // unpublished again, it's counted once it's published again
+            if(!previous.draft && blog.draft) {
+                await User.updateOne({ _id: blog.author }, { $inc: { "account_info.total_posts": -1 } });
+            }
+
+            invalidateCache("blogs", `blog:${blog._id}`, `user:${blog.author}`);
+
+            await saveBlogRevision(blog, authorId);
+
             return res.status(200).json({ id: blog_id });
         })
-        .catch(err => {
-            return res.status(500).json({ error: err.message })
+        .catch(next)
+
+    } else {
+
+        resolveTagAliases(tags).then(tags => {
+
+            // store blog data in database
+            let blog = new Blog({
+                title, des, banner, content, content_text: contentToText(content), tags, author: authorId, blog_id, draft: Boolean(draft), scheduledAt: schedule || undefined
+            });
+
+            return blog.save();
+        })
+        .then(async blog => {
+
+            await saveBlogRevision(blog, authorId);
+
+            // increment the count of 'total_posts' only if a post is published not saved as draft
+            let incrementValue = draft ? 0 : 1;
+
+            User.findOneAndUpdate({ _id: authorId }, { $inc: { "account_info.total_posts" : incrementValue }, $push : { "blogs": blog._id } })
+            .then(user => {
+                invalidateCache("blogs", `user:${authorId}`);
+                return res.status(200).json({ id: blog.blog_id });
+            })
+            .catch(next)
         })
+        .catch(next)
+    }
+
+    
+})
+
+// the signed in author's drafts waiting to be published, soonest first
+app.post("/scheduled-blogs", verifyJWT, validate({ page: pageField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page } = req.body;
+
+    let maxLimit = 5;
+
+    Blog.find({ author: user_id, draft: true, scheduledAt: { $exists: true } })
+    .sort({ scheduledAt: 1 })
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("blog_id title des banner tags scheduledAt -_id")
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+
+})
+
+app.post("/reschedule-blog", verifyJWT, loadUserRole, validate({
+    blog_id: blogIdField,
+    scheduledAt: { type: "date", required: true, message: "Invalid publish time", code: "INVALID_SCHEDULE" }
+}), (req, res, next) => {
+
+    let { blog_id, scheduledAt } = req.body;
+
+    let schedule = scheduledAt;
+
+    if(scheduleError(schedule)) {
+        return res.status(400).json({ error: scheduleError(schedule), code: "INVALID_SCHEDULE", field: "scheduledAt" });
+    }
+
+    Blog.findOne({ blog_id })
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        if(!authorize(req, "blog:edit", [blog.author])) {
+            return res.status(403).json({ error: "You can't edit this blog" });
+        }
+
+        if(!blog.draft) {
+            return res.status(409).json({ error: "This blog is already published" });
+        }
+
+        let error = publishValidationError(blog);
+
+        if(error) {
+            return res.status(400).json({ error, code: "BLOG_NOT_READY" });
+        }
+
+        return Blog.updateOne({ _id: blog._id, draft: true }, { scheduledAt: schedule })
+        .then(() => {
+            return res.status(200).json({ id: blog_id, scheduledAt: schedule });
+        })
+    })
+    .catch(next)
+
+})
+
+// the blog stays a draft
+app.post("/cancel-scheduled-blog", verifyJWT, loadUserRole, validate({ blog_id: blogIdField }), (req, res, next) => {
+
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("author draft")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        if(!authorize(req, "blog:edit", [blog.author])) {
+            return res.status(403).json({ error: "You can't edit this blog" });
+        }
+
+        if(!blog.draft) {
+            return res.status(409).json({ error: "This blog is already published" });
+        }
+
+        return Blog.updateOne({ _id: blog._id }, { $unset: { scheduledAt: 1 } })
+        .then(() => {
+            return res.status(200).json({ status: 'done' });
+        })
+    })
+    .catch(next)
+
+})
+
+let maxImportFiles = 100;
+
+// uncompressed, a markdown file and all the files of an archive
+let maxImportFileBytes = 1024 * 1024;
+let maxImportBytes = 20 * 1024 * 1024;
+
+// save an imported markdown document as a draft of the author
+const saveImportedDraft = async (authorId, name, markdown) => {
+
+    let { title, des, banner, tags, content } = markdownToBlog(markdown);
+
+    // fall back to the file name when the document has no title
+    title = title || name.replace(/\.(md|markdown)$/i, "");
+
+    let blog_id = title.replace(/[^a-zA-Z0-9]/g, " ").replace(/\s+/g, "-").trim() + nanoid();
+
+    tags = await resolveTagAliases(tags.slice(0, 10).map(tag => tag.toLowerCase()));
+
+    let blog = await new Blog({
+        title, des: des.slice(0, 200), banner, content, content_text: contentToText(content), tags, author: authorId, blog_id, draft: true
+    }).save();
+
+    await User.findOneAndUpdate({ _id: authorId }, { $push : { "blogs": blog._id } });
+
+    return blog.blog_id;
+}
+
+// bulk import markdown files as drafts, either a zip archive sent as the raw body (Content-Type: application/zip)
+// or JSON - { files: [{ name, markdown }] }
+app.post("/import-markdown", rateLimits.writeIp, requirePermission("blog:create"), rateLimits.writeAccount, express.raw({ type: ["application/zip", "application/x-zip-compressed"], limit: "20mb" }), async (req, res) => {
+
+    let authorId = req.user;
+
+    let files;
+
+    try {
+        files = Buffer.isBuffer(req.body) ? readMarkdownZip(req.body, { maxFiles: maxImportFiles, maxFileBytes: maxImportFileBytes, maxTotalBytes: maxImportBytes }) : req.body.files;
+    } catch(err) {
+        return res.status(400).json({ error: err.message, code: "INVALID_ARCHIVE" });
+    }
+
+    if(!Array.isArray(files) || !files.length) {
+        return res.status(400).json({ error: "There are no markdown files to import", code: "VALIDATION_ERROR", field: "files" });
+    }
+
+    if(files.length > maxImportFiles) {
+        return res.status(400).json({ error: `You can import up to ${maxImportFiles} files at once`, code: "VALIDATION_ERROR", field: "files" });
+    }
+
+    let imported = [];
+    let failed = [];
+
+    // one bad file shouldn't stop the rest of the archive
+    for(let [i, file] of files.entries()) {
+
+        let name = String((file && file.name) || `file-${i + 1}.md`);
+
+        if(!file || typeof file.markdown != "string" || !file.markdown.trim().length) {
+            failed.push({ name, error: "File is empty" });
+            continue;
+        }
+
+        try {
+            imported.push({ name, id: await saveImportedDraft(authorId, name, file.markdown) });
+        } catch(err) {
+            failed.push({ name, error: err.message });
+        }
+    }
+
+    return res.status(200).json({ imported, failed });
+
+})
+
+// the blog with 'blog_id' if the user can edit it, sends the error response otherwise
+const findEditableBlog = (req, blog_id, res) => {
+    return Blog.findOne({ blog_id })
+    .then(blog => {
+        if(!blog) {
+            res.status(404).json({ error: "Blog not found" });
+            return null;
+        }
+        if(!authorize(req, "blog:edit", [blog.author])) {
+            res.status(403).json({ error: "Only the author can access the revisions of this blog" });
+            return null;
+        }
+        return blog;
+    })
+}
+
+app.post("/blog-revisions", verifyJWT, loadUserRole, validate({ blog_id: blogIdField, page: pageField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id, page } = req.body;
+
+    let maxLimit = 10;
+
+    findEditableBlog(req, blog_id, res)
+    .then(async blog => {
+        if(!blog) {
+            return;
+        }
+
+        await ensureFirstRevision(blog);
+
+        let revisions = await BlogRevision.find({ blog: blog._id })
+        .populate("editor", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort({ revision: -1 })
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+        .select("revision editor changed restored_from savedAt title -_id");
+
+        let totalDocs = await BlogRevision.countDocuments({ blog: blog._id });
+
+        return res.status(200).json({ revisions, totalDocs });
+    })
+    .catch(next)
+
+})
+
+app.post("/blog-revision", verifyJWT, loadUserRole, validate({
+    blog_id: blogIdField,
+    revision: { type: "integer", required: true, min: 1 }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id, revision } = req.body;
+
+    findEditableBlog(req, blog_id, res)
+    .then(async blog => {
+        if(!blog) {
+            return;
+        }
+
+        let doc = await BlogRevision.findOne({ blog: blog._id, revision })
+        .populate("editor", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .select("-_id -blog -__v");
+
+        if(!doc) {
+            return res.status(404).json({ error: "Revision not found" });
+        }
+
+        return res.status(200).json({ revision: doc });
+    })
+    .catch(next)
+
+})
+
+// what changed between revision 'from' and revision 'to'
+app.post("/blog-revision-diff", verifyJWT, loadUserRole, validate({
+    blog_id: blogIdField,
+    from: { type: "integer", required: true, min: 1 },
+    to: { type: "integer", required: true, min: 1 }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id, from, to } = req.body;
+
+    findEditableBlog(req, blog_id, res)
+    .then(async blog => {
+        if(!blog) {
+            return;
+        }
+
+        let [oldRevision, newRevision] = await Promise.all([
+            BlogRevision.findOne({ blog: blog._id, revision: from }),
+            BlogRevision.findOne({ blog: blog._id, revision: to })
+        ]);
+
+        if(!oldRevision || !newRevision) {
+            return res.status(404).json({ error: "Revision not found" });
+        }
+
+        let fields = {};
+
+        revisionFields.filter(field => field != "content").forEach(field => {
+            if(JSON.stringify(oldRevision[field]) != JSON.stringify(newRevision[field])) {
+                fields[field] = { from: oldRevision[field], to: newRevision[field] };
+            }
+        });
+
+        return res.status(200).json({ from: oldRevision.revision, to: newRevision.revision, fields, blocks: diffBlocks(oldRevision.content, newRevision.content) });
+    })
+    .catch(next)
+
+})
+
+// bring back the title, description, banner, content and tags of an older revision.
+// the blog stays published or draft as it is now, and the restore is saved as a new revision
+app.post("/restore-blog-revision", verifyJWT, loadUserRole, validate({
+    blog_id: blogIdField,
+    revision: { type: "integer", required: true, min: 1 }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id, revision } = req.body;
+
+    findEditableBlog(req, blog_id, res)
+    .then(async blog => {
+        if(!blog) {
+            return;
+        }
+
+        let doc = await BlogRevision.findOne({ blog: blog._id, revision });
+
+        if(!doc) {
+            return res.status(404).json({ error: "Revision not found" });
+        }
+
+        let { title, des, banner, content, tags } = doc;
+
+        // a published or scheduled blog has to stay ready to be read
+        if(!blog.draft || blog.scheduledAt) {
+
+            let error = publishValidationError({ des, banner, content, tags });
+
+            if(error) {
+                return res.status(400).json({ error, code: "BLOG_NOT_READY" });
+            }
+        }
+
+        await ensureFirstRevision(blog);
+
+        // tags renamed since this revision was saved
+        tags = await resolveTagAliases(tags);
+
+        let restored = await Blog.findOneAndUpdate({ _id: blog._id }, { title, des, banner, content, content_text: contentToText(content), tags }, { new: true });
+
+        invalidateCache("blogs", `blog:${blog._id}`);
+
+        let newRevision = await saveBlogRevision(restored, user_id, { restored_from: doc.revision });
+
+        return res.status(200).json({ id: blog_id, revision: newRevision.revision });
+    })
+    .catch(next)
+
+})
+
+let maxSearchQueryLength = 100;
+let maxSearchLimit = 20;
+
+// search text goes to mongo's $text operator, never into a RegExp
+const cleanSearchQuery = (query) => String(query).replace(/\s+/g, " ").trim().slice(0, maxSearchQueryLength);
+
+// a short piece of text around the first searched word found
+const buildSnippet = (text, query, length = 160) => {
+
+    if(!text) {
+        return "";
+    }
+
+    let lowerText = text.toLowerCase();
+    let words = query.toLowerCase().replace(/["-]/g, " ").split(" ").filter(word => word.length);
+
+    let index = words.map(word => lowerText.indexOf(word)).filter(i => i >= 0).sort((a, b) => a - b)[0];
+
+    if(index == undefined) {
+        return text.length > length ? text.slice(0, length).trim() + "..." : text;
+    }
+
+    let start = Math.max(index - Math.floor(length / 3), 0);
+    let snippet = text.slice(start, start + length).trim();
+
+    return (start > 0 ? "..." : "") + snippet + (start + length < text.length ? "..." : "");
+}
+
+// relevance ranked search over title, tags, description and content
+const searchBlogsByText = ({ query, skip, limit, recency_boost }) => {
+
+    let pipeline = [
+        { $match: { $text: { $search: query }, ...visibleBlogsQuery() } },
+        { $addFields: { score: { $meta: "textScore" } } }
+    ];
+
+    // newer posts get up to twice their score, fading out over a few months
+    if(recency_boost) {
+        pipeline.push({
+            $addFields: {
+                score: {
+                    $multiply: ["$score", { $add: [1, { $divide: [1, { $add: [1, { $divide: [{ $subtract: [new Date(), "$publishedAt"] }, 30 * 24 * 60 * 60 * 1000] }] }] }] }]
+                }
+            }
+        });
+    }
+
+    pipeline.push(
+        { $sort: { score: -1, publishedAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { blog_id: 1, title: 1, des: 1, banner: 1, activity: 1, tags: 1, publishedAt: 1, author: 1, content_text: 1, score: 1, _id: 0 } }
+    );
+
+    return Blog.aggregate(pipeline)
+    .then(blogs => Blog.populate(blogs, { path: "author", select: "personal_info.profile_img personal_info.username personal_info.fullname -_id" }))
+    .then(blogs => blogs.map(({ content_text, ...blog }) => {
+
+        let snippet = buildSnippet(blog.des, query);
+
+        // use the content when the description doesn't mention any of the words
+        if(!query.toLowerCase().split(" ").some(word => (blog.des || "").toLowerCase().includes(word))) {
+            snippet = buildSnippet(content_text, query) || snippet;
+        }
+
+        return { ...blog, snippet };
+    }));
+}
+
+// the tag each of 'tags' is saved as, without the duplicates that leaves.
+// aliases always point at a tag that isn't an alias itself so one lookup is enough
+const resolveTagAliases = async (tags) => {
+
+    if(!tags || !tags.length) {
+        return tags;
+    }
+
+    let aliases = await TagAlias.find({ alias: { $in: tags } }).select("alias tag");
+
+    let canonical = new Map(aliases.map(({ alias, tag }) => [alias, tag]));
+
+    return [...new Set(tags.map(tag => canonical.get(tag) || tag))];
+}
+
+const resolveTagAlias = (tag) => resolveTagAliases([tag]).then(([resolved]) => resolved);
+
+// searching for an alias finds the blogs of the tag it stands for, goes after validate
+const resolveTagParam = (source = "body") => (req, res, next) => {
+
+    if(!req[source].tag) {
+        return next();
+    }
+
+    resolveTagAlias(req[source].tag)
+    .then(tag => {
+        req[source].tag = tag;
+        next();
+    })
+    .catch(next)
+}
+
+let tagField = { type: "string", required: true, trim: true, lowercase: true, minLength: 1, maxLength: 50, message: "Tags must be 1 to 50 characters" };
+
+// every tag of the published blogs with how many blogs have it
+app.post("/tags", validate({
+    page: pageField,
+    sort: { type: "string", enum: ["count", "name"], default: "count" }
+}), (req, res, next) => {
+
+    let { page, sort } = req.body;
+
+    let maxLimit = 50;
+
+    Blog.aggregate([
+        { $match: visibleBlogsQuery() },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 }, last_used: { $max: "$publishedAt" } } },
+        { $sort: sort == "name" ? { _id: 1 } : { count: -1, _id: 1 } },
+        { $skip: (page - 1) * maxLimit },
+        { $limit: maxLimit },
+        { $project: { _id: 0, tag: "$_id", count: 1, last_used: 1 } }
+    ])
+    .then(async tags => {
+
+        let aliases = await TagAlias.find({ tag: { $in: tags.map(({ tag }) => tag) } }).select("alias tag");
+
+        tags.forEach(item => item.aliases = aliases.filter(({ tag }) => tag == item.tag).map(({ alias }) => alias));
+
+        return res.status(200).json({ tags });
+    })
+    .catch(next)
+
+})
+
+app.post("/tags-count", (req, res, next) => {
+
+    Blog.distinct("tags", visibleBlogsQuery())
+    .then(tags => {
+        return res.status(200).json({ totalDocs: tags.length });
+    })
+    .catch(next)
+
+})
+
+// how much each kind of activity on a blog counts towards its tags trending
+let trendingTagWeights = { reads: 1, likes: 3, comments: 5 };
+
+// the tags of the blogs read, liked and commented on the most over the last 'days' days
+app.get("/trending-tags", validate({
+    days: { type: "integer", min: 1, max: 90, default: 7 },
+    limit: { type: "integer", min: 1, max: 20, default: 10 }
+}, "query"), (req, res, next) => {
+
+    let { days, limit } = req.query;
+
+    let since = new Date(utcDay().getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+    BlogStat.aggregate([
+        { $match: { day: { $gte: since } } },
+        { $group: { _id: "$blog", reads: { $sum: "$reads" }, likes: { $sum: "$likes" }, comments: { $sum: "$comments" } } }
+    ])
+    .then(async stats => {
+
+        let blogs = await Blog.find({ _id: { $in: stats.map(stat => stat._id) }, ...visibleBlogsQuery() }).select("tags");
+
+        let blogTags = new Map(blogs.map(blog => [blog._id.toString(), blog.tags]));
+
+        let tags = new Map();
+
+        stats.forEach(stat => {
+            (blogTags.get(stat._id.toString()) || []).forEach(tag => {
+
+                let item = tags.get(tag) || { tag, posts: 0, reads: 0, likes: 0, comments: 0, score: 0 };
+
+                item.posts++;
+                Object.keys(trendingTagWeights).forEach(key => {
+                    item[key] += stat[key];
+                    item.score += stat[key] * trendingTagWeights[key];
+                });
+
+                tags.set(tag, item);
+            });
+        });
+
+        let trending = [...tags.values()]
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || b.posts - a.posts || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+
+        return res.status(200).json({ tags: trending, since });
+    })
+    .catch(next)
+
+})
+
+// tags starting with what's typed in the editor, the most used first,
+// an alias that matches suggests the tag it stands for
+app.post("/tag-suggestions", validate({
+    query: { ...tagField, message: "Type a tag to get suggestions" },
+    limit: { type: "integer", min: 1, max: 20, default: 8 }
+}), (req, res, next) => {
+
+    let { query, limit } = req.body;
+
+    let prefix = new RegExp("^" + escapeRegex(query));
+
+    TagAlias.find({ alias: prefix })
+    .limit(limit)
+    .select("alias tag")
+    .then(async aliases => {
+
+        let tagsQuery = { $in: [prefix, ...aliases.map(({ tag }) => tag)] };
+
+        let tags = await Blog.aggregate([
+            { $match: { ...visibleBlogsQuery(), tags: tagsQuery } },
+            { $unwind: "$tags" },
+            { $match: { tags: tagsQuery } },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, tag: "$_id", count: 1 } }
+        ]);
+
+        tags.forEach(item => {
+            let alias = aliases.find(({ tag }) => tag == item.tag);
+            if(alias && !item.tag.startsWith(query)) {
+                item.alias = alias.alias;
+            }
+        });
+
+        return res.status(200).json({ tags });
+    })
+    .catch(next)
+
+})
+
+// what the blog searches can filter on
+let searchBlogsFields = {
+    tag: { type: "string", trim: true, lowercase: true },
+    query: { type: "string" },
+    author: { type: "id" }
+};
+
+// an empty or blank query isn't something to search for
+const searchTargetError = ({ tag, query, author }) => {
+    if(!tag && !(query && String(query).trim().length) && !author) {
+        return "Send a tag, query or author to search for";
+    }
+}
+
+app.post("/search-blogs", validate({
+    ...searchBlogsFields,
+    page: pageField,
+    limit: { type: "integer", min: 1 },
+    eliminate_same_blog: { type: "string" },
+    recency_boost: { type: "boolean" },
+    cursor: cursorField
+}), resolveTagParam(), (req, res, next) => {
+
+    let { tag, query, page, author, limit, eliminate_same_blog, recency_boost, cursor } = req.body;
+
+    // the branches below narrow it down, it never takes in drafts or hidden blogs
+    let findQuery = visibleBlogsQuery();
+
+    if(searchTargetError(req.body)) {
+        return res.status(400).json({ error: searchTargetError(req.body), code: "VALIDATION_ERROR" });
+    }
+
+    // let maxLimit = 3;   only 5 blog posts in a search
+    let maxLimit = Math.min(limit || 2, maxSearchLimit);
+
+    if(tag) {
+        findQuery = { tags: tag, ...visibleBlogsQuery(), blog_id: { $ne: eliminate_same_blog } };
+    } else if(query) {
+
+        query = cleanSearchQuery(query);
+
+        if(!query.length) {
+            return res.status(200).json({ blogs: [] });
+        }
+
+        // relevance has no stable order to continue from, so these cursors carry an offset
+        let skip = cursor ? cursorOffset(cursor) : (page - 1) * maxLimit;
+
+        return searchBlogsByText({ query, skip, limit: maxLimit + 1, recency_boost })
+        .then(blogs => {
+            let { items, has_more, next_cursor } = toPage(blogs, maxLimit, () => encodeCursor({ offset: skip + maxLimit }));
+            return res.status(200).json({ blogs: items, next_cursor, has_more });
+        })
+        .catch(next)
+
+    } else if(author) {
+        findQuery = { author, ...visibleBlogsQuery() }
+    }
+
+    Blog.find({ ...findQuery, ...afterCursor(cursor, "publishedAt") })
+    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+    .sort({ "publishedAt": -1, _id: -1 })
+    .select("blog_id title des banner activity tags publishedAt")
+    .skip(cursor ? 0 : (page - 1) * maxLimit)
+    .limit(maxLimit + 1)
+    .lean()
+    .then(blogs => {
+        let { items, has_more, next_cursor } = toPage(blogs, maxLimit, keysetCursor("publishedAt"));
+        return res.status(200).json({ blogs: items.map(({ _id, ...blog }) => blog), next_cursor, has_more });
+    })
+    .catch(next)
+})
+
+app.post("/search-blogs-count", validate(searchBlogsFields), resolveTagParam(), (req, res, next) => {
+
+    let { tag, query, author } = req.body;
+
+    // the branches below narrow it down, it never takes in drafts or hidden blogs
+    let findQuery = visibleBlogsQuery();
+
+    if(searchTargetError(req.body)) {
+        return res.status(400).json({ error: searchTargetError(req.body), code: "VALIDATION_ERROR" });
+    }
+
+    if(tag) {
+        findQuery = { tags: tag, ...visibleBlogsQuery() };
+    } else if(query) {
+
+        query = cleanSearchQuery(query);
+
+        if(!query.length) {
+            return res.status(200).json({ totalDocs: 0 });
+        }
+
+        findQuery = { ...visibleBlogsQuery(), $text: { $search: query } }
+    } else if(author) {
+        findQuery = { author, ...visibleBlogsQuery() }
+    }
+
+    Blog.countDocuments(findQuery)
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
+
+})
+
+// how much each signal counts when picking related blogs, each one scores from 0 to 1
+let relatedBlogWeights = { tags: 0.5, text: 0.35, recency: 0.15 };
+
+// a related blog's recency score halves every this many days
+let relatedBlogHalfLifeDays = 90;
+
+// how many blogs each signal brings in to be scored
+let maxRelatedCandidates = 30;
+
+// published blogs like 'blog_id', scored by the tags they share, how similar their text is and how new they are
+app.post("/related-blogs", validate({
+    blog_id: blogIdField,
+    limit: { type: "integer", min: 1, max: 10, default: 3 }
+}), (req, res, next) => {
+
+    let { blog_id, limit } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("title des tags")
+    .then(async blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        let tags = blog.tags || [];
+
+        let candidatesQuery = { ...visibleBlogsQuery(), _id: { $ne: blog._id } };
+
+        // punctuation would turn words into phrases or negations for $text
+        let text = cleanSearchQuery(`${blog.title} ${blog.des || ""}`.replace(/[^\p{L}\p{N}\s]/gu, " "));
+
+        let [byTags, byText] = await Promise.all([
+            tags.length ? Blog.find({ ...candidatesQuery, tags: { $in: tags } }).sort({ publishedAt: -1 }).limit(maxRelatedCandidates).select("tags publishedAt").lean() : [],
+            text.length ? Blog.find({ ...candidatesQuery, $text: { $search: text } }, { score: { $meta: "textScore" } }).sort({ score: { $meta: "textScore" } }).limit(maxRelatedCandidates).select("tags publishedAt").lean() : []
+        ]);
+
+        let candidates = new Map();
+
+        [...byTags, ...byText].forEach(candidate => {
+            let id = candidate._id.toString();
+            candidates.set(id, { ...candidates.get(id), ...candidate });
+        });
+
+        // text scores are relative to the best match
+        let maxTextScore = Math.max(0, ...byText.map(candidate => candidate.score));
+
+        let scored = [...candidates.values()].map(candidate => {
+
+            let shared = (candidate.tags || []).filter(tag => tags.includes(tag)).length;
+            let allTags = new Set([...tags, ...(candidate.tags || [])]).size;
+
+            let ageDays = (Date.now() - new Date(candidate.publishedAt).getTime()) / (24 * 60 * 60 * 1000);
+
+            let scores = {
+                tags: allTags ? shared / allTags : 0,
+                text: maxTextScore ? (candidate.score || 0) / maxTextScore : 0,
+                recency: Math.pow(0.5, Math.max(ageDays, 0) / relatedBlogHalfLifeDays)
+            };
+
+            let score = Object.keys(relatedBlogWeights).reduce((total, key) => total + scores[key] * relatedBlogWeights[key], 0);
+
+            return { _id: candidate._id, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+        let blogs = await Blog.find({ _id: { $in: scored.map(({ _id }) => _id) } })
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .select("blog_id title des banner activity tags publishedAt")
+        .lean();
+
+        let order = scored.map(({ _id }) => _id.toString());
+
+        blogs = blogs
+        .sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()))
+        .map(({ _id, ...blog }) => blog);
+
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+
+})
+
+app.post("/search-users", validate({ query: { type: "string", default: "" } }), (req, res, next) => {
+
+    let { query } = req.body;
+
+    query = cleanSearchQuery(query);
+
+    if(!query.length) {
+        return res.status(200).json({ users: [] });
+    }
+
+    let select = "personal_info.fullname personal_info.username personal_info.profile_img -_id";
+
+    User.find({ $text: { $search: query } }, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(50)
+    .select(select)
+    .then(users => {
+
+        if(users.length) {
+            return users;
+        }
+
+        // whole words only match with $text, so fall back to matching any part of the name ("doe" finds "johndoe")
+        let part = new RegExp(escapeRegex(query), 'i');
+
+        return User.find({ $or: [{ "personal_info.username": part }, { "personal_info.fullname": part }] })
+        .limit(50)
+        .select(select)
+    })
+    .then(users => {
+        return res.status(200).json({ users })
+    })
+    .catch(next)
+})
+
+app.post("/get-profile", validate({ username: usernameField }), cacheResponse({
+    name: "get-profile",
+    key: (req) => req.body.username,
+    tags: (req, user) => [`user:${user._id}`]
+}), (req, res, next) => {
+
+    let { username } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("-personal_info.password -google_auth -updatedAt -blogs")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found", code: "USER_NOT_FOUND" });
+        }
+        return res.status(200).json(user);
+    })
+    .catch(next)
+
+})
+
+// check a social link is a http(s) url on one of its platform's domains
+const isValidSocialLink = (platform, link) => {
+
+    let url;
+
+    try {
+        url = new URL(link);
+    } catch(err) {
+        return false;
+    }
+
+    if(!["http:", "https:"].includes(url.protocol)) {
+        return false;
+    }
+
+    let domains = socialLinksDomains[platform];
+
+    if(!domains) {
+        return true;
+    }
+
+    let hostname = url.hostname.toLowerCase();
+
+    return domains.some(domain => hostname == domain || hostname.endsWith("." + domain));
+}
+
+app.post("/update-profile", verifyJWT, validate({
+    bio: { type: "string", maxLength: bioLimit, message: `Bio should not be more than ${bioLimit} characters` },
+    social_links: { type: "object", message: "Social links are invalid" }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { bio, social_links } = req.body;
+
+    let updateObj = {};
+
+    if(bio != undefined) {
+        updateObj["personal_info.bio"] = bio;
+    }
+
+    if(social_links) {
+
+        let platforms = Object.keys(social_links);
+
+        for(let platform of platforms) {
+
+            if(!Object.keys(socialLinksDomains).includes(platform)) {
+                return res.status(400).json({ error: `${platform} is not a supported social link`, code: "VALIDATION_ERROR", field: `social_links.${platform}` });
+            }
+
+            let link = social_links[platform] || "";
+
+            if(typeof link != "string" || (link.length && !isValidSocialLink(platform, link))) {
+                return res.status(400).json({ error: `${platform} link is invalid. You must enter a full ${platform} link`, code: "VALIDATION_ERROR", field: `social_links.${platform}` });
+            }
+
+            updateObj[`social_links.${platform}`] = link;
+        }
+    }
+
+    User.findOneAndUpdate({ _id: user_id }, updateObj, { runValidators: true, new: true })
+    .select("personal_info.bio social_links")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        invalidateCache(`user:${user_id}`);
+
+        return res.status(200).json({ bio: user.personal_info.bio, social_links: user.social_links });
+    })
+    .catch(next)
+
+})
+
+app.post("/change-username", verifyJWT, validate({
+    username: { type: "string", required: true, trim: true, pattern: usernameRegex, message: "Username should be 3 to 30 characters long and only use letters, numbers, '.', '_' or '-'", code: "INVALID_USERNAME" }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { username } = req.body;
+
+    User.exists({ "personal_info.username": username, _id: { $ne: user_id } })
+    .then(isUsernameTaken => {
+        if(isUsernameTaken) {
+            return res.status(409).json({ error: "Username is already taken", code: "USERNAME_TAKEN" });
+        }
+
+        return User.findOneAndUpdate({ _id: user_id }, { "personal_info.username": username })
+        .then(() => {
+            // the blog listings show the author's username
+            invalidateCache("blogs", `user:${user_id}`);
+            return res.status(200).json({ username });
+        })
+    })
+    .catch(err => {
+        // someone else grabbed it in between the check and the update
+        if(err.code == 11000) {
+            return res.status(409).json({ error: "Username is already taken", code: "USERNAME_TAKEN" });
+        }
+        next(err);
+    })
+
+})
+
+// only accept images the user uploaded through /get-upload-url, once the file is known to be that image
+const isOwnUploadedImg = async (url, user_id) => {
+
+    let storage = getStorage();
+
+    let upload = await Upload.findOne({ url, owner: user_id, driver: storage.name });
+
+    if(!upload) {
+        return false;
+    }
+    if(upload.verified) {
+        return true;
+    }
+
+    // S3 uploads are otherwise only checked by the cleanup
+    let file = await checkUploadedFile(storage, upload);
+
+    if(!file) {
+        return false;
+    }
+
+    await Upload.updateOne({ _id: upload._id }, { size: file.size, verified: true });
+
+    return true;
+}
+
+app.post("/update-profile-img", verifyJWT, validate({
+    url: { type: "string", required: true, message: "Upload an image to use it as your profile picture" }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { url } = req.body;
+
+    isOwnUploadedImg(url, user_id)
+    .then(async isOwn => {
+        if(!isOwn) {
+            return res.status(400).json({ error: "Upload an image to use it as your profile picture", code: "INVALID_IMAGE", field: "url" });
+        }
+
+        await User.findOneAndUpdate({ _id: user_id }, { "personal_info.profile_img": url });
+
+        invalidateCache("blogs", `user:${user_id}`);
+        return res.status(200).json({ profile_img: url });
+    })
+    .catch(next)
+
+})
+
+app.post("/follow-user", verifyJWT, validate({ username: usernameField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { username } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        if(user_id == user._id) {
+            return res.status(400).json({ error: "You cannot follow yourself", code: "CANNOT_FOLLOW_SELF" });
+        }
+
+        try {
+            await new Follow({ follower: user_id, following: user._id }).save();
+        } catch(err) {
+            // already following, nothing to change
+            if(err.code == 11000) {
+                return res.status(200).json({ followed_by_user: true });
+            }
+            throw err;
+        }
+
+        await User.updateOne({ _id: user_id }, { $inc: { "account_info.total_following": 1 } });
+        await User.updateOne({ _id: user._id }, { $inc: { "account_info.total_followers": 1 } });
+
+        invalidateCache(`user:${user_id}`, `user:${user._id}`);
+
+        await new Notification({
+            type: "follow",
+            notification_for: user._id,
+            user: user_id
+        }).save();
+
+        return res.status(200).json({ followed_by_user: true });
+    })
+    .catch(next)
+
+})
+
+app.post("/unfollow-user", verifyJWT, validate({ username: usernameField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { username } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(async user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        let follow = await Follow.findOneAndDelete({ follower: user_id, following: user._id });
+
+        if(follow) {
+            await User.updateOne({ _id: user_id }, { $inc: { "account_info.total_following": -1 } });
+            await User.updateOne({ _id: user._id }, { $inc: { "account_info.total_followers": -1 } });
+
+            invalidateCache(`user:${user_id}`, `user:${user._id}`);
+
+            await Notification.findOneAndDelete({ type: "follow", notification_for: user._id, user: user_id });
+        }
+
+        return res.status(200).json({ followed_by_user: false });
+    })
+    .catch(next)
+
+})
+
+app.post("/is-following", verifyJWT, validate({ username: usernameField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { username } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        return Follow.exists({ follower: user_id, following: user._id })
+        .then(result => {
+            return res.status(200).json({ result });
+        })
+    })
+    .catch(next)
+
+})
+
+// list who follows a user ('followers') or who the user follows ('following')
+const followListRoute = (type) => (req, res, next) => {
+
+    let { username, page } = req.body;
+
+    let maxLimit = 20;
+
+    // the field matching the user and the one holding the listed users
+    let [matchField, listField] = type == "followers" ? ["following", "follower"] : ["follower", "following"];
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        return Follow.find({ [matchField]: user._id })
+        .populate(listField, "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+        .sort({ followedAt: -1 })
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+        .then(follows => {
+            // users deleted since are left out
+            let users = follows.map(follow => follow[listField]).filter(Boolean);
+            return res.status(200).json({ users });
+        })
+    })
+    .catch(next)
+
+}
+
+app.post("/followers", validate({ username: usernameField, page: pageField }), followListRoute("followers"));
+
+app.post("/following", validate({ username: usernameField, page: pageField }), followListRoute("following"));
+
+// latest blogs of the authors a user follows
+app.post("/following-feed", verifyJWT, validate({ page: pageField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page } = req.body;
+
+    let maxLimit = 5;
+
+    Follow.find({ follower: user_id }).distinct("following")
+    .then(authors => {
+        return Blog.find({ author: { $in: authors }, ...visibleBlogsQuery() })
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip(((page || 1) - 1) * maxLimit)
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+
+})
+
+app.post("/following-feed-count", verifyJWT, (req, res, next) => {
+
+    let user_id = req.user;
+
+    Follow.find({ follower: user_id }).distinct("following")
+    .then(authors => Blog.countDocuments({ author: { $in: authors }, ...visibleBlogsQuery() }))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
+
+})
+
+// reads of the same viewer within this window count once, a day at most
+let readDedupMinutes = Math.min(Number(process.env.READ_DEDUP_MINUTES) || 30, 24 * 60);
+
+let botUserAgentRegex = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|curl|wget/i;
+
+// midnight (UTC) of the day 'date' is in
+const utcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// who is reading, anonymous readers are only kept as a hash
+const viewerId = (req) => req.user ? `user:${req.user}` : "anon:" + hashToken(`${req.ip}|${req.get("user-agent") || ""}`);
+
+// the site a reader came from - 'direct', 'internal' for our own pages or a hostname
+const referrerSource = (req, referrer) => {
+
+    // the client passes document.referrer, the request's own Referer is always our frontend
+    referrer = referrer || req.get("referer");
+
+    let host;
+
+    try {
+        host = new URL(referrer).hostname.toLowerCase().replace(/^www\./, "");
+    } catch(err) {
+        return "direct";
+    }
+
+    return host == new URL(clientURL()).hostname.replace(/^www\./, "") ? "internal" : host;
+}
+
+// map keys can't have dots in mongo
+const encodeStatKey = (key) => encodeURIComponent(key).replace(/\./g, "%2E");
+
+// add to today's stats of a blog
+const bumpBlogStats = (blog, inc) => {
+    return BlogStat.updateOne(
+        { blog: blog._id, day: utcDay() },
+        { $inc: inc, $setOnInsert: { author: blog.author._id || blog.author } },
+        { upsert: true }
+    );
+}
+
+// count a read of a blog unless it comes from a bot or the same viewer read it moments ago
+const recordBlogRead = async (req, blog, referrer) => {
+
+    if(botUserAgentRegex.test(req.get("user-agent") || "")) {
+        return;
+    }
+
+    let viewer = viewerId(req);
+    let now = new Date();
+    let today = dayKey(now);
+
+    let previous = await BlogView.findOne({ blog: blog._id, viewer });
+
+    if(previous && now - previous.lastCountedAt < readDedupMinutes * 60 * 1000) {
+        return;
+    }
+
+    await BlogView.updateOne({ blog: blog._id, viewer }, { lastCountedAt: now, lastCountedDay: today }, { upsert: true });
+
+    await Blog.updateOne({ _id: blog._id }, { $inc: { "activity.total_reads": 1 } });
+
+    await User.updateOne({ _id: blog.author._id || blog.author }, { $inc: { "account_info.total_reads": 1 } });
+
+    await bumpBlogStats(blog, {
+        reads: 1,
+        unique_readers: (!previous || previous.lastCountedDay != today) ? 1 : 0,
+        [`referrers.${encodeStatKey(referrerSource(req, referrer))}`]: 1
+    });
+}
+
+app.post("/get-blog", optionalJWT, validate({
+    blog_id: blogIdField,
+    draft: { type: "boolean" },
+    mode: { type: "string" },
+    format: { type: "string", enum: ["json", ...renderFormats] },
+    unsupported_blocks: { type: "string", enum: ["placeholder", "skip", "throw"] },
+    referrer: { type: "string" }
+}), cacheResponse({
+    name: "get-blog",
+    key: (req) => JSON.stringify(["blog_id", "draft", "mode", "format", "unsupported_blocks"].map(field => req.body[field] ?? null)),
+    // the author's name and picture are in it too
+    tags: (req, { blog }) => [`blog:${blog._id}`, `user:${blog.author._id}`],
+    // a cached blog is still a read
+    onHit: (req, { blog }) => {
+        if(req.body.mode != "edit") {
+            recordBlogRead(req, blog, req.body.referrer)
+            .catch(err => console.log(err.message));
+        }
+    }
+}), (req, res, next) => {
+
+    // format - 'html' or 'markdown' sends the content rendered instead of the editor blocks
+    // referrer - the reader's document.referrer, for analytics
+    let { blog_id, draft, mode, format, unsupported_blocks, referrer } = req.body;
+
+    Blog.findOne({ blog_id })
+    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .select("title des content banner activity publishedAt blog_id tags hidden draft")
+    .then(blog => {
+
+        let isAuthor = Boolean(blog && req.user && req.user == blog.author._id);
+
+        // only its author can still open a hidden blog
+        if(!blog || (blog.hidden && !isAuthor)) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        // and a draft
+        if(blog.draft && (!draft || !isAuthor)) {
+            return res.status(403).json({ error: "You cannot access draft blogs", code: "DRAFT_BLOG" });
+        }
+
+        // only its author gets a hidden blog or a draft and the editor needs the latest version
+        if(blog.hidden || blog.draft || mode == "edit") {
+            res.locals.noCache = true;
+        }
+
+        // opening a blog in the editor or an unpublished one isn't a read
+        if(mode != "edit" && !blog.draft) {
+            recordBlogRead(req, blog, referrer)
+            .catch(err => console.log(err.message));
+        }
+
+        // the editor always needs the raw blocks
+        if(format && format != "json" && mode != "edit") {
+
+            let rendered;
+
+            try {
+                rendered = renderContent(blog.content, format, { onUnsupported: unsupported_blocks });
+            } catch(err) {
+                if(err instanceof UnsupportedBlockError) {
+                    return res.status(400).json({ error: err.message, code: "UNSUPPORTED_BLOCK" });
+                }
+                throw err;
+            }
+
+            return res.status(200).json({ blog: { ...blog.toObject(), content: rendered.output }, format, unsupported_blocks: rendered.unsupported });
+        }
+
+        return res.status(200).json({ blog });
+    })
+    .catch(next)
+})
+
+let maxDashboardDays = 366;
+
+// reads, readers, likes and comments of the signed in author's blogs per day,
+// with the top posts and referrers of the range. 'blog_id' narrows it down to one blog
+app.post("/author-dashboard", verifyJWT, loadUserRole, validate({
+    from: { type: "date", message: "Invalid date range" },
+    to: { type: "date", message: "Invalid date range" },
+    blog_id: { type: "string", trim: true }
+}), async (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { from, to, blog_id } = req.body;
+
+    let toDay = utcDay(to || new Date());
+    let fromDay = from ? utcDay(from) : new Date(toDay.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    let days = Math.round((toDay - fromDay) / (24 * 60 * 60 * 1000)) + 1;
+
+    if(days < 1 || days > maxDashboardDays) {
+        return res.status(400).json({ error: `The date range must be 1 to ${maxDashboardDays} days long`, code: "VALIDATION_ERROR" });
+    }
+
+    try {
+        let match = { author: new mongoose.Types.ObjectId(user_id), day: { $gte: fromDay, $lte: toDay } };
+
+        if(blog_id) {
+            let blog = await Blog.findOne({ blog_id }).select("author");
+
+            if(!blog) {
+                return res.status(404).json({ error: "Blog not found" });
+            }
+
+            if(!authorize(req, "blog:edit", [blog.author])) {
+                return res.status(403).json({ error: "You can't see the analytics of this blog" });
+            }
+
+            match = { blog: blog._id, day: match.day };
+        }
+
+        let sums = { reads: { $sum: "$reads" }, unique_readers: { $sum: "$unique_readers" }, likes: { $sum: "$likes" }, comments: { $sum: "$comments" } };
+
+        let [result] = await BlogStat.aggregate([
+            { $match: match },
+            { $facet: {
+                totals: [{ $group: { _id: null, ...sums } }],
+                series: [{ $group: { _id: "$day", ...sums } }],
+                top_posts: [{ $group: { _id: "$blog", ...sums } }, { $sort: { reads: -1 } }, { $limit: 5 }],
+                referrers: [
+                    { $project: { referrer: { $objectToArray: "$referrers" } } },
+                    { $unwind: "$referrer" },
+                    { $group: { _id: "$referrer.k", count: { $sum: "$referrer.v" } } },
+                    { $sort: { count: -1 } },
+                    { $limit: 10 }
+                ]
+            } }
+        ]);
+
+        let empty = { reads: 0, unique_readers: 0, likes: 0, comments: 0 };
+
+        // every day of the range is in the series, days without activity as zeros
+        let byDay = {};
+        result.series.forEach(({ _id, ...stats }) => { byDay[dayKey(_id)] = stats });
+
+        let series = Array.from({ length: days }, (_, i) => {
+            let day = dayKey(new Date(fromDay.getTime() + i * 24 * 60 * 60 * 1000));
+            return { day, ...(byDay[day] || empty) };
+        });
+
+        let blogs = await Blog.find({ _id: { $in: result.top_posts.map(post => post._id) } }).select("blog_id title");
+
+        let top_posts = result.top_posts.map(({ _id, ...stats }) => {
+            let blog = blogs.find(blog => blog._id.equals(_id));
+            return blog ? { blog_id: blog.blog_id, title: blog.title, ...stats } : null;
+        }).filter(Boolean);
+
+        let { _id, ...totals } = result.totals[0] || { _id: null, ...empty };
+
+        let referrers = result.referrers.map(({ _id, count }) => ({ source: decodeURIComponent(_id), count }));
+
+        return res.status(200).json({ from: dayKey(fromDay), to: dayKey(toDay), totals, series, top_posts, referrers });
+
+    } catch(err) {
+        next(err);
+    }
+
+})
+
+app.post("/like-blog", verifyJWT, validate({
+    _id: { type: "id", required: true },
+    isLikedByUser: { type: "boolean", default: false }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { _id, isLikedByUser } = req.body;
+
+    let incrementVal = !isLikedByUser ? 1 : -1;
+
+    Blog.findOneAndUpdate({ _id }, { $inc: { "activity.total_likes": incrementVal } })
+    .then(blog => {
+
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        invalidateCache("blogs", `blog:${blog._id}`);
+
+        bumpBlogStats(blog, { likes: incrementVal })
+        .catch(err => console.log(err.message));
+
+        if(isLikedByUser) {
+
+            let like = new Notification({
+                type: "like",
+                blog: _id,
+                notification_for: blog.author,
+                user: user_id
+            });
+
+            return like.save().then(notification => {
+                return res.status(200).json({ liked_by_user: true })
+            });
+        } else {
+
+            return Notification.findOneAndDelete({ user: user_id, blog: _id, type: "like" })
+            .then(data => {
+                return res.status(200).json({ liked_by_user: false })
+            })
+        }
+    })
+    .catch(next)
+
+})
+
+app.post("/isliked-by-user", verifyJWT, validate({ _id: { type: "id", required: true } }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { _id } = req.body;
+
+    Notification.exists({ user: user_id, type: "like", blog: _id })
+    .then(result => {
+        return res.status(200).json({ result});
+    })
+    .catch(next)
+
+})
+
+let maxMentions = 10;
+let maxCommentEdits = 20;
+
+// the users @mentioned in a comment, without its own writer
+const findMentionedUsers = (comment, user_id) => {
+
+    let usernames = [...String(comment).matchAll(/(^|[^\w@.\/])@([a-zA-Z0-9._-]{3,30})/g)]
+    .map(match => match[2].replace(/[._-]+$/, ""));
+
+    usernames = [...new Set(usernames)].slice(0, maxMentions);
+
+    if(!usernames.length) {
+        return Promise.resolve([]);
+    }
+
+    return User.find({ "personal_info.username": { $in: usernames }, _id: { $ne: user_id } })
+    .select("personal_info.username");
+}
+
+// notify mentioned users, 'skip' are users already notified about this comment some other way
+const notifyMentions = (mentions, { blog, comment, user_id, skip = [] }) => {
+
+    let notifications = mentions
+    .filter(user => !skip.some(id => id && id.toString() == user._id.toString()))
+    .map(user => ({ type: "mention", blog, comment, notification_for: user._id, user: user_id }));
+
+    return notifications.length ? Notification.insertMany(notifications) : Promise.resolve([]);
+}
+
+let commentField = { type: "string", required: true, trim: true, message: "Write something to leave a comment..." };
+
+app.post("/add-comment", rateLimits.commentIp, verifyJWT, rateLimits.commentAccount, validate({
+    _id: { type: "id", required: true },
+    comment: commentField,
+    replying_to: { type: "id" }
+}), async (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { _id, comment, replying_to } = req.body;
+
+    try {
+
+        // the blog's author comes from the blog itself
+        let blog = await Blog.findOne({ _id }).select("author");
+
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        if(replying_to && !await Comment.exists({ _id: replying_to, blog_id: _id })) {
+            return res.status(404).json({ error: "The comment you're replying to doesn't exist anymore" });
+        }
+
+        let blog_author = blog.author;
+
+        // creating a comment doc
+        let commentObj = {
+            blog_id: _id, blog_author, comment, commented_by: user_id,
+        };
+
+        if(replying_to) {
+            commentObj.parent = replying_to;
+            commentObj.isReply = true;
+        }
+
+        let commentFile = await new Comment(commentObj).save();
+
+        let { commentedAt, children } = commentFile;
+
+        Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: { "activity.total_comments": 1, "activity.total_parent_comments": replying_to ? 0 : 1 } })
+        .then(blog => {
+            console.log("New comment created")
+
+            invalidateCache("blogs", `blog:${_id}`);
+
+            return bumpBlogStats(blog, { comments: 1 });
+        })
+        .catch(err => console.log(err.message));
+
+        let notificationObj = {
+            type: replying_to ? "reply" : "comment",
+            blog: _id,
+            notification_for: blog_author,
+            user: user_id,
+            comment: commentFile._id
+        }
+
+        if(replying_to) {
+
+            notificationObj.replied_on_comment = replying_to;
+
+            await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } })
+            .then(replyingToCommentDoc => { notificationObj.notification_for = replyingToCommentDoc.commented_by })
+
+        }
+
+        new Notification(notificationObj).save().then(notification => console.log("new notification created"))
+        .catch(err => console.log(err.message));
+
+        let mentions = await findMentionedUsers(comment, user_id);
+
+        if(mentions.length) {
+            await Comment.updateOne({ _id: commentFile._id }, { mentions: mentions.map(user => user._id) });
+
+            // whoever gets the comment/reply notification isn't notified twice
+            notifyMentions(mentions, { blog: _id, comment: commentFile._id, user_id, skip: [notificationObj.notification_for] })
+            .catch(err => console.log(err.message));
+        }
+
+        return res.status(200).json({
+            comment, commentedAt, _id: commentFile._id, user_id, children, mentions: mentions.map(user => user.personal_info.username)
+        });
+
+    } catch(err) {
+        next(err);
+    }
+}) 
+
+// only the commenter can edit, the previous text is kept in 'edit_history'
+app.post("/edit-comment", rateLimits.commentIp, verifyJWT, rateLimits.commentAccount, validate({
+    _id: { type: "id", required: true },
+    comment: commentField
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { _id, comment } = req.body;
+
+    Comment.findOne({ _id })
+    .then(async commentDoc => {
+        if(!commentDoc) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
+
+        if(user_id != commentDoc.commented_by) {
+            return res.status(403).json({ error: "You can only edit your own comments" });
+        }
+
+        if(commentDoc.comment == comment) {
+            return res.status(200).json({ comment, edited: commentDoc.edited, editedAt: commentDoc.editedAt });
+        }
+
+        let mentions = await findMentionedUsers(comment, user_id);
+        let previousMentions = commentDoc.mentions.map(id => id.toString());
+        let editedAt = new Date();
+
+        await Comment.updateOne({ _id }, {
+            comment,
+            edited: true,
+            editedAt,
+            mentions: mentions.map(user => user._id),
+            $push: { edit_history: { $each: [{ comment: commentDoc.comment, editedAt: commentDoc.editedAt || commentDoc.commentedAt }], $slice: -maxCommentEdits } }
+        });
+
+        // who got the comment/reply notification
+        let notified = commentDoc.isReply
+        ? (await Comment.findOne({ _id: commentDoc.parent }).select("commented_by") || {}).commented_by
+        : commentDoc.blog_author;
+
+        // only users mentioned for the first time are notified, the ones taken out lose their notification
+        let newMentions = mentions.filter(user => !previousMentions.includes(user._id.toString()));
+        let removedMentions = previousMentions.filter(id => !mentions.some(user => user._id.toString() == id));
+
+        await notifyMentions(newMentions, { blog: commentDoc.blog_id, comment: commentDoc._id, user_id, skip: [notified] });
+
+        if(removedMentions.length) {
+            await Notification.deleteMany({ type: "mention", comment: commentDoc._id, notification_for: { $in: removedMentions } });
+        }
+
+        return res.status(200).json({ comment, edited: true, editedAt, mentions: mentions.map(user => user.personal_info.username) });
+    })
+    .catch(next)
+
+})
+
+// the earlier versions are for the commenter, the blog's author and moderators only
+app.post("/comment-edit-history", verifyJWT, validate({ _id: { type: "id", required: true } }), (req, res, next) => {
+
+    let { _id } = req.body;
+
+    Comment.findOne({ _id, hidden: { $ne: true } })
+    .select("comment edited editedAt edit_history commented_by blog_author")
+    .then(comment => {
+        if(!comment) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
+
+        if(!authorize(req, "comment:delete", [comment.commented_by, comment.blog_author])) {
+            return res.status(403).json({ error: "You can't see the edit history of this comment" });
+        }
+
+        let { edited, editedAt, edit_history } = comment;
+
+        return res.status(200).json({ comment: comment.comment, edited, editedAt, edit_history });
+    })
+    .catch(next)
+
+})
+
+let skipField = { type: "integer", min: 0, default: 0 };
+
+// sending a cursor (null for the first page) answers { comments, next_cursor, has_more },
+// without one it's the plain list of comments paged with 'skip' as before
+app.post("/get-blog-comments", validate({ blog_id: { type: "id", required: true }, skip: skipField, cursor: cursorField }), (req, res, next) => {
+
+    let { blog_id, skip, cursor } = req.body;
+    let maxLimit = 5;
+
+    let paged = "cursor" in req.body;
+
+    let afterQuery = afterCursor(cursor, "commentedAt");
+
+    // the comments of a hidden blog are hidden with it
+    Blog.exists({ _id: blog_id, hidden: true })
+    .then(hidden => {
+        if(hidden) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return Comment.find({ blog_id, isReply: false, hidden: { $ne: true }, ...afterQuery })
+        .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img")
+        .populate("mentions", "personal_info.username -_id")
+        .select("-edit_history")
+        .skip(cursor ? 0 : skip)
+        .limit(maxLimit + 1)
+        .sort({
+            "commentedAt": -1,
+            _id: -1
+        })
+        .then(comments => {
+
+            let { items, has_more, next_cursor } = toPage(comments, maxLimit, keysetCursor("commentedAt"));
+
+            return res.status(200).json(paged ? { comments: items, next_cursor, has_more } : items);
+        })
+    })
+    .catch(next)
+})
+
+app.post("/get-replies", validate({ _id: { type: "id", required: true }, skip: skipField, cursor: cursorField }), (req, res, next) => {
+
+    let { _id, skip, cursor } = req.body;
+
+    let maxLimit = 5;
+
+    Comment.findOne({ _id })
+    .populate({
+        path: "children",
+        match: { hidden: { $ne: true }, ...afterCursor(cursor, "commentedAt") },
+        options: {
+            limit: maxLimit + 1,
+            skip: cursor ? 0 : skip,
+            sort: { 'commentedAt': -1, _id: -1 }
+        },
+        populate: [{
+            path: 'commented_by',
+            select: "personal_info.profile_img personal_info.fullname personal_info.username"
+        }, {
+            path: 'mentions',
+            select: "personal_info.username -_id"
+        }],
+        select: "-blog_id -updatedAt -edit_history"
+    })
+    .select("children blog_id hidden")
+    .then(async doc => {
+        if(!doc || doc.hidden || await Blog.exists({ _id: doc.blog_id, hidden: true })) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
+
+        let { items, has_more, next_cursor } = toPage(doc.children, maxLimit, keysetCursor("commentedAt"));
+
+        return res.status(200).json({ replies: items, next_cursor, has_more });
+    })
+    .catch(next)
+
+})
+
+const deleteComments = ( _id ) => {
+    Comment.findOneAndDelete({ _id })
+    .then(comment => {
+
+        if(comment.parent){
+            Comment.findOneAndUpdate({ _id: comment.parent }, { $pull: { children: _id } })
+            .then(data => console.log("parent comment deleted"))
+            .catch(err => console.log(err));
+        }
+
+        // the comment notification and any mention notifications
+        Notification.deleteMany({ comment: _id }).then(notification => console.log("comment notification deleted"));
+
+        Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } }).then(notification => console.log("reply notification deleted"));
+
+        Blog.findOneAndUpdate({ _id: comment.blog_id }, { $pull: { comments: _id }, $inc: { "activity.total_comments": -1 }, "activity.total_parent_comments": comment.parent ? 0 : -1 })
+        .then(blog => {
+            invalidateCache("blogs", `blog:${comment.blog_id}`);
+
+            if(comment.children.length){
+                comment.children.map(replies => {
+                    deleteComments(replies)
+                })
+            }   
+        })
+
+    })
+    .catch(err => {
+        console.log(err.message);
+    })
+}
+
+app.post("/delete-comment", verifyJWT, loadUserRole, validate({ _id: { type: "id", required: true } }), (req, res, next) => {
+
+    let { _id } = req.body;
+
+    Comment.findOne({ _id })
+    .then(comment => {
+
+        if(!comment) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
+
+        // the commenter, the blog's author or a moderator
+        if( authorize(req, "comment:delete", [comment.commented_by, comment.blog_author]) ){
+
+            deleteComments(_id);
+
+            return res.status(200).json({ status: 'done' });
+
+        } else{
+            return res.status(403).json({ error: "Cannot delete this comment" });
+        }
+
+    })
+    .catch(next)
+
+})
+
+// build the notification query for a user,
+// optionally narrowed down to one type ('like', 'comment', 'reply', 'mention', 'follow' or 'report_resolved')
+const notificationsFindQuery = (user_id, filter) => {
+
+    // skip notifications of users acting on their own blogs/comments
+    let findQuery = { notification_for: user_id, user: { $ne: user_id } };
+
+    if(filter && filter != "all") {
+        findQuery.type = filter;
+    }
+
+    return findQuery;
+}
+
+const notificationTypes = ["all", "like", "comment", "reply", "mention", "follow", "report_resolved"];
+
+let notificationFilterField = { type: "string", enum: notificationTypes, message: "Invalid notification filter" };
+
+app.post("/notifications", verifyJWT, validate({
+    page: pageField,
+    filter: notificationFilterField,
+    deletedDocCount: { type: "integer", min: 0 }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page, filter, deletedDocCount } = req.body;
+
+    let maxLimit = 10;
+
+    let skipDocs = ((page || 1) - 1) * maxLimit;
+
+    // the client removes notifications from the list as it goes,
+    // so the next page has to start that many docs earlier
+    if(deletedDocCount) {
+        skipDocs -= deletedDocCount;
+    }
+
+    Notification.find(notificationsFindQuery(user_id, filter))
+    .skip(Math.max(skipDocs, 0))
+    .limit(maxLimit)
+    .populate("blog", "title blog_id")
+    .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .populate("comment", "comment")
+    .populate("replied_on_comment", "comment")
+    .populate("reply", "comment")
+    .populate("report", "target_type reason action note")
+    .sort({ createdAt: -1 })
+    .select("createdAt type seen blog user comment replied_on_comment reply report")
+    .then(notifications => {
+        return res.status(200).json({ notifications });
+    })
+    .catch(next)
+
+})
+
+app.post("/all-notifications-count", verifyJWT, validate({ filter: notificationFilterField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { filter } = req.body;
+
+    Notification.countDocuments(notificationsFindQuery(user_id, filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
+
+})
+
+// unseen count for the notification badge
+app.get("/new-notification", verifyJWT, (req, res, next) => {
+
+    let user_id = req.user;
+
+    Notification.countDocuments({ ...notificationsFindQuery(user_id), seen: false })
+    .then(count => {
+        return res.status(200).json({ new_notification_available: count > 0, count });
+    })
+    .catch(next)
+
+})
+
+app.post("/seen-notification", verifyJWT, validate({ _id: { type: "id", required: true } }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { _id } = req.body;
+
+    // only the user the notification is meant for can mark it as seen
+    Notification.findOneAndUpdate({ _id, notification_for: user_id }, { seen: true })
+    .then(notification => {
+        if(!notification) {
+            return res.status(404).json({ error: "Notification not found" });
+        }
+
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+app.post("/seen-all-notifications", verifyJWT, validate({ filter: notificationFilterField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { filter } = req.body;
+
+    Notification.updateMany({ ...notificationsFindQuery(user_id, filter), seen: false }, { seen: true })
+    .then(result => {
+        return res.status(200).json({ status: 'done', updated: result.modifiedCount });
+    })
+    .catch(next)
+
+})
+
+// an author's own blogs, published ones and drafts are listed separately
+const userWrittenBlogsFindQuery = (user_id, draft, query) => {
+
+    let findQuery = { author: user_id, draft: Boolean(draft) };
+
+    if(query) {
+        findQuery.title = new RegExp(escapeRegex(String(query)), 'i');
+    }
+
+    return findQuery;
+}
+
+let userWrittenBlogsFields = {
+    draft: { type: "boolean", default: false },
+    query: { type: "string" }
+};
+
+app.post("/user-written-blogs", verifyJWT, validate({
+    ...userWrittenBlogsFields,
+    page: pageField,
+    deletedDocCount: { type: "integer", min: 0 }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page, draft, query, deletedDocCount } = req.body;
+
+    let maxLimit = 5;
+    let skipDocs = ((page || 1) - 1) * maxLimit;
+
+    // blogs deleted from the list shift the next page back
+    if(deletedDocCount) {
+        skipDocs -= deletedDocCount;
+    }
+
+    Blog.find(userWrittenBlogsFindQuery(user_id, draft, query))
+    .skip(Math.max(skipDocs, 0))
+    .limit(maxLimit)
+    .sort({ publishedAt: -1 })
+    .select("title banner publishedAt blog_id activity des draft scheduledAt -_id")
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+
+})
+
+app.post("/user-written-blogs-count", verifyJWT, validate(userWrittenBlogsFields), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { draft, query } = req.body;
+
+    Blog.countDocuments(userWrittenBlogsFindQuery(user_id, draft, query))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
+
+})
+
+// remove a blog and everything hanging off it,
+// 'blog' needs its author and draft fields
+const deleteBlog = async (blog) => {
+
+    await Blog.deleteOne({ _id: blog._id });
+
+    invalidateCache("blogs", `blog:${blog._id}`, `user:${blog.author}`);
+
+    await Notification.deleteMany({ blog: blog._id });
+
+    await Comment.deleteMany({ blog_id: blog._id });
+
+    await Bookmark.deleteMany({ blog: blog._id });
+
+    await BlogRevision.deleteMany({ blog: blog._id });
+
+    await BlogStat.deleteMany({ blog: blog._id });
+
+    await BlogView.deleteMany({ blog: blog._id });
+
+    await ReadingList.updateMany({ blogs: blog._id }, { $pull: { blogs: blog._id } });
+
+    // drafts aren't counted in 'total_posts'
+    await User.findOneAndUpdate({ _id: blog.author }, { $pull: { blogs: blog._id }, $inc: { "account_info.total_posts": blog.draft ? 0 : -1 } });
+}
+
+app.post("/delete-blog", verifyJWT, loadUserRole, validate({ blog_id: blogIdField }), (req, res, next) => {
+
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("author draft")
+    .then(async blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        if(!authorize(req, "blog:delete", [blog.author])) {
+            return res.status(403).json({ error: "Cannot delete this blog" });
+        }
+
+        await deleteBlog(blog);
+
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+// same card fields as /latest-blogs, drafts and hidden blogs populate to null and get filtered out
+const blogCardPopulate = (path) => ({
+    path,
+    match: visibleBlogsQuery(),
+    select: "blog_id title des banner activity tags publishedAt author -_id",
+    populate: { path: "author", select: "personal_info.profile_img personal_info.username personal_info.fullname -_id" }
+})
+
+let maxReadingLists = 50;
+let maxReadingListBlogs = 500;
+
+app.post("/bookmark-blog", verifyJWT, validate({ blog_id: blogIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id, ...visibleBlogsQuery() })
+    .select("_id")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return Bookmark.updateOne({ user: user_id, blog: blog._id }, { $setOnInsert: { user: user_id, blog: blog._id } }, { upsert: true })
+        .then(() => {
+            return res.status(200).json({ bookmarked_by_user: true });
+        })
+    })
+    .catch(next)
+
+})
+
+app.post("/remove-bookmark", verifyJWT, validate({ blog_id: blogIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return Bookmark.deleteOne({ user: user_id, blog: blog._id })
+        .then(() => {
+            return res.status(200).json({ bookmarked_by_user: false });
+        })
+    })
+    .catch(next)
+
+})
+
+app.post("/isbookmarked-by-user", verifyJWT, validate({ blog_id: blogIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(blog => {
+        if(!blog) {
+            return res.status(200).json({ result: null });
+        }
+
+        return Bookmark.exists({ user: user_id, blog: blog._id })
+        .then(result => {
+            return res.status(200).json({ result });
+        })
+    })
+    .catch(next)
+
+})
+
+app.post("/bookmarks", verifyJWT, validate({ page: pageField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { page } = req.body;
+
+    let maxLimit = 5;
+
+    Bookmark.find({ user: user_id })
+    .populate(blogCardPopulate("blog"))
+    .sort({ bookmarkedAt: -1 })
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .then(bookmarks => {
+        let blogs = bookmarks.map(bookmark => bookmark.blog).filter(Boolean);
+        return res.status(200).json({ blogs });
+    })
+    .catch(next)
+
+})
+
+// the editable fields of a reading list
+let readingListFields = {
+    name: { type: "string", trim: true, minLength: 1, maxLength: 60, message: "Reading list name must be 1 to 60 characters long" },
+    des: { type: "string", maxLength: 200, message: "Reading list description should not be more than 200 characters" },
+    is_public: { type: "boolean" }
+};
+
+let listIdField = { type: "id", required: true };
+
+app.post("/create-reading-list", verifyJWT, validate({
+    ...readingListFields,
+    name: { ...readingListFields.name, required: true }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { name, des, is_public } = req.body;
+
+    ReadingList.countDocuments({ owner: user_id })
+    .then(count => {
+        if(count >= maxReadingLists) {
+            return res.status(409).json({ error: `You can't have more than ${maxReadingLists} reading lists`, code: "LIMIT_REACHED" });
+        }
+
+        return new ReadingList({ owner: user_id, name, des, is_public: Boolean(is_public) }).save()
+        .then(list => {
+            return res.status(200).json({ list_id: list._id });
+        })
+    })
+    .catch(err => {
+        if(err.code == 11000) {
+            return res.status(409).json({ error: "You already have a reading list with this name", code: "READING_LIST_EXISTS" });
+        }
+        next(err);
+    })
+
+})
+
+app.post("/update-reading-list", verifyJWT, validate({ ...readingListFields, list_id: listIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { list_id, name, des, is_public } = req.body;
+
+    let updateObj = {};
+
+    if(name != undefined) { updateObj.name = name; }
+    if(des != undefined) { updateObj.des = des; }
+    if(is_public != undefined) { updateObj.is_public = is_public; }
+
+    ReadingList.findOneAndUpdate({ _id: list_id, owner: user_id }, updateObj)
+    .then(list => {
+        if(!list) {
+            return res.status(404).json({ error: "Reading list not found" });
+        }
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(err => {
+        if(err.code == 11000) {
+            return res.status(409).json({ error: "You already have a reading list with this name", code: "READING_LIST_EXISTS" });
+        }
+        next(err);
+    })
+
+})
+
+app.post("/delete-reading-list", verifyJWT, validate({ list_id: listIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { list_id } = req.body;
+
+    ReadingList.findOneAndDelete({ _id: list_id, owner: user_id })
+    .then(list => {
+        if(!list) {
+            return res.status(404).json({ error: "Reading list not found" });
+        }
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+app.post("/reading-list-add-blog", verifyJWT, validate({ list_id: listIdField, blog_id: blogIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { list_id, blog_id } = req.body;
+
+    Blog.findOne({ blog_id, ...visibleBlogsQuery() })
+    .select("_id")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        // $addToSet keeps a blog from showing up twice in a list
+        return ReadingList.findOneAndUpdate(
+            { _id: list_id, owner: user_id, [`blogs.${maxReadingListBlogs - 1}`]: { $exists: false } },
+            { $addToSet: { blogs: blog._id } }
+        )
+        .then(async list => {
+            if(!list) {
+                let exists = await ReadingList.exists({ _id: list_id, owner: user_id });
+
+                return exists
+                ? res.status(409).json({ error: `A reading list can't have more than ${maxReadingListBlogs} blogs`, code: "LIMIT_REACHED" })
+                : res.status(404).json({ error: "Reading list not found" });
+            }
+            return res.status(200).json({ status: 'done' });
+        })
+    })
+    .catch(next)
+
+})
+
+app.post("/reading-list-remove-blog", verifyJWT, validate({ list_id: listIdField, blog_id: blogIdField }), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { list_id, blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .select("_id")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return ReadingList.findOneAndUpdate({ _id: list_id, owner: user_id }, { $pull: { blogs: blog._id } })
+        .then(list => {
+            if(!list) {
+                return res.status(404).json({ error: "Reading list not found" });
+            }
+            return res.status(200).json({ status: 'done' });
+        })
+    })
+    .catch(next)
+
+})
+
+// 'blogs' is the new order of the list's blog_ids
+app.post("/reading-list-reorder", verifyJWT, validate({
+    list_id: listIdField,
+    blogs: { type: "array", required: true, items: { type: "string" }, message: "Send the blogs of the list in their new order" }
+}), (req, res, next) => {
+
+    let user_id = req.user;
+
+    let { list_id, blogs } = req.body;
+
+    ReadingList.findOne({ _id: list_id, owner: user_id })
+    .then(async list => {
+        if(!list) {
+            return res.status(404).json({ error: "Reading list not found" });
+        }
+
+        let docs = await Blog.find({ _id: { $in: list.blogs } }).select("blog_id");
+
+        let idsByBlogId = {};
+        docs.forEach(doc => { idsByBlogId[doc.blog_id] = doc._id });
+
+        // blogs removed since the client loaded the list are ignored, every remaining one has to be there
+        let ordered = [...new Set(blogs)].filter(blog_id => idsByBlogId[blog_id]).map(blog_id => idsByBlogId[blog_id]);
+
+        if(ordered.length != docs.length) {
+            return res.status(400).json({ error: "The new order must contain every blog of the list", code: "VALIDATION_ERROR", field: "blogs" });
+        }
+
+        list.blogs = ordered;
+        await list.save();
+
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+// the signed in user's reading lists
+app.post("/reading-lists", verifyJWT, (req, res, next) => {
+
+    let user_id = req.user;
+
+    ReadingList.find({ owner: user_id })
+    .sort({ updatedAt: -1 })
+    .select("name des is_public blogs updatedAt")
+    .then(lists => {
+        lists = lists.map(({ _id, name, des, is_public, blogs, updatedAt }) => ({ list_id: _id, name, des, is_public, total_blogs: blogs.length, updatedAt }));
+        return res.status(200).json({ lists });
+    })
+    .catch(next)
+
+})
 
-    } else {
+// private lists can only be opened by their owner
+app.post("/get-reading-list", optionalJWT, validate({ list_id: listIdField }), (req, res, next) => {
 
-        // store blog data in database
-        let blog = new Blog({
-            title, des, banner, content, tags, author: authorId, blog_id, draft: Boolean(draft)
-        });
+    let user_id = req.user;
 
-        blog.save().then(blog => {
-            // increment the count of 'total_posts' only if a post is published not saved as draft
-            let incrementValue = draft ? 0 : 1;
+    let { list_id } = req.body;
 
-            User.findOneAndUpdate({ _id: authorId }, { $inc: { "account_info.total_posts" : incrementValue }, $push : { "blogs": blog._id } })
-            .then(user => {
-                return res.status(200).json({ id: blog.blog_id });
-            })
-            .catch(err => {
-                return res.status(500).json({ error: "Failed to update the count of total posts" });
-            })
-        })
-        .catch(err => {
-            return res.status(500).json({ error: err.message });
-        })
-    }
+    ReadingList.findOne({ _id: list_id })
+    .populate(blogCardPopulate("blogs"))
+    .populate("owner", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .then(list => {
+        if(!list || !list.owner || (!list.is_public && list.owner._id != user_id)) {
+            return res.status(404).json({ error: "Reading list not found" });
+        }
+
+        let { _id, name, des, is_public, owner, blogs, updatedAt } = list;
+
+        // deleted, hidden and blogs turned back into drafts come back as null
+        blogs = blogs.filter(Boolean);
+
+        return res.status(200).json({ list: { list_id: _id, name, des, is_public, owner, blogs, updatedAt } });
+    })
+    .catch(next)
 
-    
 })
 
-app.post("/search-blogs", (req, res) => {
+let maxFeedItems = 20;
 
-    let { tag, query, page, author, limit, eliminate_same_blog } = req.body;
+// build a feed out of the latest published blogs matching 'findQuery'
+const sendFeed = (req, res, next, { findQuery, title, description, home_page_url }) => {
 
-    let findQuery;
+    let format = feedFormats[req.params.format];
 
-    if(tag) {
-        findQuery = { tags: tag, draft: false, blog_id: { $ne: eliminate_same_blog } };
-    } else if(query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    } else if(author) {
-        findQuery = { author, draft: false }
+    if(!format) {
+        return res.status(404).json({ error: "Feed format must be rss, atom or json" });
     }
 
-    // let maxLimit = 3;   only 5 blog posts in a search
-    let maxLimit = limit ? limit : 2;
+    // full=1 adds the whole rendered post to every item
+    let full = req.query.full == "1" || req.query.full == "true";
 
-    Blog.find(findQuery)
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+    Blog.find({ ...findQuery, ...visibleBlogsQuery() })
+    .populate("author", "personal_info.fullname personal_info.username -_id")
     .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page - 1) * maxLimit)
-    .limit(maxLimit)
+    .limit(maxFeedItems)
+    .select(`blog_id title des banner tags publishedAt updatedAt author ${full ? "content" : ""} -_id`)
     .then(blogs => {
-        return res.status(200).json({ blogs });
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
-    })
-})
 
-app.post("/search-blogs-count", (req, res) => {
+        let updated = blogs.reduce((latest, blog) => Math.max(latest, new Date(blog.updatedAt || blog.publishedAt).getTime()), 0) || Date.now();
 
-    let { tag, query, author } = req.body;
+        let etag = `W/"${crypto.createHash("sha1").update([req.params.format, full, ...blogs.map(blog => blog.blog_id + (blog.updatedAt || blog.publishedAt).valueOf())].join(":")).digest("hex")}"`;
 
-    let findQuery;
+        res.set("ETag", etag);
+        res.set("Last-Modified", new Date(updated).toUTCString());
+        res.set("Cache-Control", "public, max-age=300");
 
-    if(tag) {
-        findQuery = { tags: tag, draft: false };
-    } else if(query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    } else if(author) {
-        findQuery = { author, draft: false }
-    }
+        // the aggregator already has this version
+        if(req.fresh) {
+            return res.status(304).end();
+        }
 
-    Blog.countDocuments(findQuery)
-    .then(count => {
-        return res.status(200).json({ totalDocs: count });
-    })
-    .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({ error: err.message })
+        let items = blogs.map(blog => ({
+            id: blog.blog_id,
+            url: `${clientURL()}/blog/${blog.blog_id}`,
+            title: blog.title,
+            summary: blog.des,
+            image: blog.banner,
+            author: { name: blog.author ? blog.author.personal_info.fullname : "", url: blog.author ? `${clientURL()}/user/${blog.author.personal_info.username}` : clientURL() },
+            tags: blog.tags,
+            published: blog.publishedAt,
+            updated: blog.updatedAt || blog.publishedAt,
+            content_html: full ? contentToHtml(blog.content) : undefined
+        }));
+
+        let feed = {
+            title,
+            description,
+            home_page_url,
+            feed_url: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+            updated
+        };
+
+        return res.status(200).type(format.contentType).send(format.build(feed, items));
     })
+    .catch(next)
 
-})
+}
 
-app.post("/search-users", (req, res) => {
+app.get("/feed/:format", (req, res, next) => {
 
-    let { query } = req.body;
+    sendFeed(req, res, next, {
+        findQuery: {},
+        title: process.env.SITE_NAME || "Blog",
+        description: "Latest blogs",
+        home_page_url: clientURL()
+    });
 
-    User.find({ "personal_info.username": new RegExp(query, 'i') })
-    .limit(50)
-    .select("personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .then(users => {
-        return res.status(200).json({ users })
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message })
-    })
 })
 
-app.post("/get-profile", (req, res) => {
+app.get("/feed/author/:username/:format", (req, res, next) => {
 
-    let { username } = req.body;
+    let { username } = req.params;
 
     User.findOne({ "personal_info.username": username })
-    .select("-personal_info.password -google_auth -updatedAt -blogs")
+    .select("personal_info.fullname personal_info.bio")
     .then(user => {
-        return res.status(200).json(user);
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        sendFeed(req, res, next, {
+            findQuery: { author: user._id },
+            title: `${user.personal_info.fullname} - ${process.env.SITE_NAME || "Blog"}`,
+            description: user.personal_info.bio || `Latest blogs by ${user.personal_info.fullname}`,
+            home_page_url: `${clientURL()}/user/${username}`
+        });
     })
-    .catch(err => {
-        console.log(err);
-        return res.status(500).json({ error: err.message });
+    .catch(next)
+
+})
+
+app.get("/feed/tag/:tag/:format", (req, res, next) => {
+
+    // tags are saved in lowercase
+    resolveTagAlias(req.params.tag.toLowerCase())
+    .then(tag => {
+        sendFeed(req, res, next, {
+            findQuery: { tags: tag },
+            title: `${tag} - ${process.env.SITE_NAME || "Blog"}`,
+            description: `Latest blogs tagged ${tag}`,
+            home_page_url: `${clientURL()}/search/${encodeURIComponent(tag)}`
+        });
     })
+    .catch(next)
 
 })
 
-app.post("/get-blog", (req, res) => {
+let reportReasons = Report.schema.path("reason").enumValues;
+let moderationActions = Report.schema.path("action").enumValues;
 
-    let { blog_id, draft, mode } = req.body;
+let reportFields = {
+    reason: { type: "string", required: true, enum: reportReasons, message: `Reason must be one of ${reportReasons.join(", ")}` },
+    details: { type: "string", trim: true, maxLength: 500, message: "Report details should not be more than 500 characters" }
+};
 
-    let incrementVal = mode != "edit" ? 1 : 0;
+let reportListFields = {
+    status: { type: "string", enum: ["open", "resolved"], default: "open" },
+    target_type: { type: "string", enum: Report.schema.path("target_type").enumValues }
+};
 
-    Blog.findOneAndUpdate({ blog_id }, { $inc: { "activity.total_reads": incrementVal } })
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .select("title des content banner activity publishedAt blog_id tags")
-    .then(blog => {
+// file a report unless the user already has an open one on the same content
+const fileReport = (res, report) => {
 
-        User.findOneAndUpdate({ "personal_info.username": blog.author.personal_info.username }, {
-            $inc: { "account_info.total_reads": incrementVal }
-        })
-        .catch(err => {
-            return res.status(500).json({ error: err.message })
-        })
+    let { reporter, blog, comment } = report;
 
-        if(blog.draft && !draft) {
-            return res.status(500).json({ error: "You cannot access draft blogs"});
+    return Report.exists({ reporter, blog, comment, status: "open" })
+    .then(exists => {
+        if(exists) {
+            return res.status(409).json({ error: "You already reported this", code: "ALREADY_REPORTED" });
         }
 
-        return res.status(200).json({ blog });
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
+        return new Report(report).save()
+        .then(() => {
+            return res.status(200).json({ status: 'reported' });
+        })
     })
-})
+}
 
-app.post("/like-blog", verifyJWT, (req, res) => {
+app.post("/report-comment", rateLimits.writeIp, verifyJWT, rateLimits.reportAccount, validate({ ...reportFields, _id: { type: "id", required: true } }), (req, res, next) => {
 
     let user_id = req.user;
 
-    let { _id, isLikedByUser } = req.body;
+    let { _id, reason, details } = req.body;
 
-    let incrementVal = !isLikedByUser ? 1 : -1;
+    Comment.findOne({ _id })
+    .select("blog_id commented_by")
+    .then(comment => {
+        if(!comment) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
 
-    Blog.findOneAndUpdate({ _id }, { $inc: { "activity.total_likes": incrementVal } })
-    .then(blog => {
+        return fileReport(res, { reporter: user_id, target_type: "comment", comment: comment._id, blog: comment.blog_id, reported_user: comment.commented_by, reason, details });
+    })
+    .catch(next)
 
-        if(isLikedByUser) {
+})
 
-            let like = new Notification({
-                type: "like",
-                blog: _id,
-                notification_for: blog.author,
-                user: user_id
-            });
+app.post("/report-blog", rateLimits.writeIp, verifyJWT, rateLimits.reportAccount, validate({ ...reportFields, blog_id: blogIdField }), (req, res, next) => {
 
-            like.save().then(notification => {
-                return res.status(200).json({ liked_by_user: true })
-            });
-        } else {
+    let user_id = req.user;
 
-            Notification.findOneAndDelete({ user: user_id, blog: _id, type: "like" })
-            .then(data => {
-                return res.status(200).json({ liked_by_user: false })
-            })
-            .catch(err => {
-                return res.status(500).json({ error: err.message });
-            })
+    let { blog_id, reason, details } = req.body;
+
+    Blog.findOne({ blog_id, draft: false })
+    .select("author")
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
         }
+
+        return fileReport(res, { reporter: user_id, target_type: "blog", blog: blog._id, reported_user: blog.author, reason, details });
     })
+    .catch(next)
 
 })
 
-app.post("/isliked-by-user", verifyJWT, (req, res) => {
+// moderation queue, oldest open reports first
+app.post("/moderation/reports", requirePermission("content:moderate"), validate({ ...reportListFields, page: pageField }), (req, res, next) => {
 
-    let user_id = req.user;
+    let { status, target_type, page } = req.body;
 
-    let { _id } = req.body;
+    let maxLimit = 10;
 
-    Notification.exists({ user: user_id, type: "like", blog: _id })
-    .then(result => {
-        return res.status(200).json({ result});
-    })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
+    let findQuery = { status };
+
+    if(target_type) {
+        findQuery.target_type = target_type;
+    }
+
+    Report.find(findQuery)
+    .populate("reporter", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .populate("reported_user", "personal_info.fullname personal_info.username personal_info.profile_img suspended")
+    .populate("blog", "blog_id title hidden")
+    .populate("comment", "comment hidden")
+    .populate("resolved_by", "personal_info.fullname personal_info.username")
+    .sort({ reportedAt: findQuery.status == "open" ? 1 : -1 })
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .then(reports => {
+        return res.status(200).json({ reports });
     })
+    .catch(next)
 
 })
 
-app.post("/add-comment", verifyJWT, (req, res) => {
+app.post("/moderation/reports-count", requirePermission("content:moderate"), validate(reportListFields), (req, res, next) => {
 
-    let user_id = req.user;
+    let { status, target_type } = req.body;
 
-    let { _id, comment, blog_author, replying_to } = req.body;
+    let findQuery = { status };
 
-    if(!comment.length) {
-        return res.status(403).json({ error: "Write something to leave a comment..." });
+    if(target_type) {
+        findQuery.target_type = target_type;
     }
 
-    // creating a comment doc
-    let commentObj = {
-        blog_id: _id, blog_author, comment, commented_by: user_id,
-    };
+    Report.countDocuments(findQuery)
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(next)
 
-    if(replying_to) {
-        commentObj.parent = replying_to;
-        commentObj.isReply = true;
-    }
+})
 
-    new Comment(commentObj).save().then(async commentFile => {
+// act on a report, every open report on the same content is resolved with it
+// and the reporters get notified
+app.post("/moderation/resolve-report", requirePermission("content:moderate"), validate({
+    report_id: { type: "id", required: true },
+    action: { type: "string", required: true, enum: moderationActions, message: `Action must be one of ${moderationActions.join(", ")}` },
+    note: { type: "string", trim: true, maxLength: 500 }
+}), (req, res, next) => {
 
-        let { comment, commentedAt, children } = commentFile;
+    let user_id = req.user;
 
-        Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: { "activity.total_comments": 1, "activity.total_parent_comments": replying_to ? 0 : 1 } })
-        .then(blog => {
-            console.log("New comment created")
-        });
+    let { report_id, action, note } = req.body;
 
-        let notificationObj = {
-            type: replying_to ? "reply" : "comment",
-            blog: _id,
-            notification_for: blog_author,
-            user: user_id,
-            comment: commentFile._id
+    Report.findOne({ _id: report_id })
+    .then(async report => {
+        if(!report) {
+            return res.status(404).json({ error: "Report not found" });
         }
 
-        if(replying_to) {
+        if(report.status == "resolved") {
+            return res.status(409).json({ error: "This report is already resolved", code: "ALREADY_RESOLVED" });
+        }
 
-            notificationObj.replied_on_comment = replying_to;
+        // moderators can't suspend each other or an admin
+        if(action == "suspend" && report.reported_user) {
 
-            await Comment.findOneAndUpdate({ _id: replying_to }, { $push: { children: commentFile._id } })
-            .then(replyingToCommentDoc => { notificationObj.notification_for = replyingToCommentDoc.commented_by })
+            let reported = await User.findById(report.reported_user).select("role");
 
+            if(reported && !outranks(req.role, reported.role || "author")) {
+                return res.status(403).json({ error: "You can't suspend a user with the same or a higher role", code: "PERMISSION_DENIED" });
+            }
         }
 
-        new Notification(notificationObj).save().then(notification => console.log("new notification created"));
+        let target = report.target_type == "comment" ? { comment: report.comment } : { blog: report.blog, target_type: "blog" };
 
-        return res.status(200).json({
-            comment, commentedAt, _id: commentFile._id, user_id, children
-        });
-    });
-}) 
+        if(action == "hide" || action == "suspend") {
+            if(report.target_type == "comment") {
+                await Comment.updateOne({ _id: report.comment }, { hidden: true });
+            } else {
+                await Blog.updateOne({ _id: report.blog }, { hidden: true });
+                invalidateCache("blogs", `blog:${report.blog}`);
+            }
+        }
 
-app.post("/get-blog-comments", (req, res) => {
+        if(action == "delete") {
+            if(report.target_type == "comment") {
+                deleteComments(report.comment);
+            } else {
+                let blog = await Blog.findOne({ _id: report.blog }).select("author draft");
+                if(blog) {
+                    await deleteBlog(blog);
+                }
+            }
+        }
 
-    let { blog_id, skip } = req.body;
-    let maxLimit = 5;
+        if(action == "suspend" && report.reported_user) {
+            await User.updateOne({ _id: report.reported_user }, { suspended: true });
+            // sign them out everywhere
+            await RefreshToken.updateMany({ user: report.reported_user, revoked: false }, { revoked: true });
+        }
 
-    Comment.find({ blog_id, isReply: false })
-    .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .skip(skip)
-    .limit(maxLimit)
-    .sort({
-        "commentedAt": -1
-    })
-    .then(comment => {
-        return res.status(200).json(comment);
-    })
-    .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({ error: err.message });
+        let reports = await Report.find({ ...target, status: "open" }).select("reporter");
+
+        await Report.updateMany({ _id: { $in: reports.map(r => r._id) } }, { status: "resolved", action, note: note || "", resolved_by: user_id, resolvedAt: new Date() });
+
+        // let every reporter know it's been looked at
+        await Notification.insertMany(reports.map(r => ({
+            type: "report_resolved",
+            notification_for: r.reporter,
+            user: user_id,
+            report: r._id,
+            ...(action != "delete" ? { blog: report.blog, comment: report.comment } : {})
+        })));
+
+        return res.status(200).json({ status: 'resolved', resolved: reports.length });
     })
+    .catch(next)
+
 })
 
-app.post("/get-replies", (req, res) => {
+// undo a hide or a suspension
+app.post("/moderation/restore", requirePermission("content:moderate"), validate({
+    blog_id: { type: "string", trim: true },
+    comment_id: { type: "id" },
+    username: { type: "string", trim: true }
+}), (req, res, next) => {
 
-    let { _id, skip } = req.body;
+    let { blog_id, comment_id, username } = req.body;
 
-    let maxLimit = 5;
+    let restore;
 
-    Comment.findOne({ _id })
-    .populate({
-        path: "children",
-        options: {
-            limit: maxLimit,
-            skip: skip,
-            sort: { 'commentedAt': -1 }
-        },
-        populate: {
-            path: 'commented_by',
-            select: "personal_info.profile_img personal_info.fullname personal_info.username"
-        },
-        select: "-blog_id -updatedAt"
-    })
-    .select("children")
-    .then(doc => {
-        console.log(doc);
-        return res.status(200).json({ replies: doc.children });
+    if(blog_id) {
+        restore = Blog.updateOne({ blog_id }, { hidden: false });
+    } else if(comment_id) {
+        restore = Comment.updateOne({ _id: comment_id }, { hidden: false });
+    } else if(username) {
+        restore = User.updateOne({ "personal_info.username": username }, { suspended: false });
+    } else {
+        return res.status(400).json({ error: "Send the blog, comment or user to restore", code: "VALIDATION_ERROR" });
+    }
+
+    restore
+    .then(result => {
+        if(!result.matchedCount) {
+            return res.status(404).json({ error: "Nothing to restore" });
+        }
+        if(blog_id) {
+            invalidateCache("blogs");
+        }
+        return res.status(200).json({ status: 'done' });
     })
-    .catch(err => {
-        return res.status(500).json({ error: err.message });
+    .catch(next)
+
+})
+
+// admin - list the users having a role
+let roleField = { type: "string", enum: roles, message: `Role must be one of ${roles.join(", ")}` };
+
+app.post("/admin/users", requirePermission("roles:manage"), validate({ role: roleField, page: pageField }), (req, res, next) => {
+
+    let { role, page } = req.body;
+
+    let maxLimit = 20;
+
+    User.find(role ? { role } : {})
+    .sort({ joinedAt: -1 })
+    .skip(((page || 1) - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("personal_info.fullname personal_info.username personal_info.profile_img role -_id")
+    .then(users => {
+        return res.status(200).json({ users });
     })
+    .catch(next)
 
 })
 
-const deleteComments = ( _id ) => {
-    Comment.findOneAndDelete({ _id })
-    .then(comment => {
+const setUserRole = (res, next, username, role) => {
 
-        if(comment.parent){
-            Comment.findOneAndUpdate({ _id: comment.parent }, { $pull: { children: _id } })
-            .then(data => console.log("parent comment deleted"))
-            .catch(err => console.log(err));
+    User.findOne({ "personal_info.username": username })
+    .select("role")
+    .then(async user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
         }
 
-        Notification.findOneAndDelete({ comment: _id }).then(notification => console.log("comment notification deleted"));
-
-        Notification.findOneAndUpdate({ reply: _id }, { $unset: { reply: 1 } }).then(notification => console.log("reply notification deleted"));
+        // there must always be someone left to manage roles
+        if(user.role == "admin" && role != "admin" && await User.countDocuments({ role: "admin" }) <= 1) {
+            return res.status(409).json({ error: "Can't remove the last admin", code: "LAST_ADMIN" });
+        }
 
-        Blog.findOneAndUpdate({ _id: comment.blog_id }, { $pull: { comments: _id }, $inc: { "activity.total_comments": -1 }, "activity.total_parent_comments": comment.parent ? 0 : -1 })
-        .then(blog => {
-            if(comment.children.length){
-                comment.children.map(replies => {
-                    deleteComments(replies)
-                })
-            }   
-        })
+        user.role = role;
+        await user.save();
 
+        return res.status(200).json({ username, role });
     })
-    .catch(err => {
-        console.log(err.message);
-    })
+    .catch(next)
+
 }
 
-app.post("/delete-comment", verifyJWT, (req, res) => {
+app.post("/admin/grant-role", requirePermission("roles:manage"), validate({ username: usernameField, role: { ...roleField, required: true } }), (req, res, next) => {
+
+    let { username, role } = req.body;
+
+    setUserRole(res, next, username, role);
+
+})
+
+// back to the default role
+app.post("/admin/revoke-role", requirePermission("roles:manage"), validate({ username: usernameField }), (req, res, next) => {
+
+    let { username } = req.body;
+
+    setUserRole(res, next, username, User.schema.path("role").defaultValue);
+
+})
+
+// admin - the tag aliases, by alias
+app.post("/admin/tag-aliases", requirePermission("tags:manage"), validate({ page: pageField }), (req, res, next) => {
+
+    let { page } = req.body;
+
+    let maxLimit = 50;
+
+    TagAlias.find()
+    .sort({ alias: 1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("alias tag createdAt -_id")
+    .then(aliases => {
+        return res.status(200).json({ aliases });
+    })
+    .catch(next)
+
+})
+
+// merge the tag 'alias' into 'tag' - the blogs tagged 'alias' get 'tag' instead and it's saved and searched as 'tag' from now on
+app.post("/admin/merge-tags", requirePermission("tags:manage"), validate({ alias: tagField, tag: tagField }), (req, res, next) => {
 
     let user_id = req.user;
 
-    let { _id } = req.body;
+    let { alias } = req.body;
 
-    Comment.findOne({ _id })
-    .then(comment => {
+    resolveTagAlias(req.body.tag)
+    .then(async tag => {
 
-        if( user_id == comment.commented_by || user_id == comment.blog_author ){
+        if(tag == alias) {
+            return res.status(400).json({ error: "A tag can't be merged into itself", code: "SAME_TAG" });
+        }
 
-            deleteComments(_id);
+        // aliases of the merged tag move along with it
+        await TagAlias.updateMany({ tag: alias }, { tag });
 
-            return res.status(200).json({ status: 'done' });
+        await TagAlias.findOneAndUpdate({ alias }, { tag, created_by: user_id }, { upsert: true });
 
-        } else{
-            return res.status(403).json({ error: "Cannot delete this comment" });
+        let merged = await Blog.find({ tags: alias }).select("_id");
+
+        // swap the tag in place and drop it where the blog already had both
+        let result = await Blog.updateMany({ tags: alias }, [
+            { $set: { tags: { $reduce: {
+                input: { $map: { input: "$tags", in: { $cond: [{ $eq: ["$$this", alias] }, tag, "$$this"] } } },
+                initialValue: [],
+                in: { $cond: [{ $in: ["$$this", "$$value"] }, "$$value", { $concatArrays: ["$$value", ["$$this"]] }] }
+            } } } }
+        ]);
+
+        invalidateCache("blogs", ...merged.map(blog => `blog:${blog._id}`));
+
+        return res.status(200).json({ alias, tag, blogs: result.modifiedCount });
+    })
+    .catch(next)
+
+})
+
+// the blogs merged before keep their new tag
+app.post("/admin/remove-tag-alias", requirePermission("tags:manage"), validate({ alias: tagField }), (req, res, next) => {
+
+    let { alias } = req.body;
+
+    TagAlias.findOneAndDelete({ alias })
+    .then(deleted => {
+        if(!deleted) {
+            return res.status(404).json({ error: "Tag alias not found" });
         }
 
+        return res.status(200).json({ status: 'done' });
+    })
+    .catch(next)
+
+})
+
+// admin - hits and misses of the response cache
+app.post("/admin/cache-stats", requirePermission("cache:view"), (req, res, next) => {
+
+    cacheStats()
+    .then(stats => {
+        return res.status(200).json(stats);
     })
+    .catch(next)
 
 })
 
+// anything the routes above didn't answer or passed on with next(err)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 app.listen(PORT, () => {
     console.log(`Server is listening on port ${PORT}`);
 });